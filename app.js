@@ -5,7 +5,13 @@ const express = require('express');
 const pricingRoutes = require('./pricing');
 const timelineRoutes = require('./timeline');
 const cacheRoutes = require('./cache');
+const quoteRoutes = require('./quotes');
+const historyRoutes = require('./history');
+const publicationRoutes = require('./publications');
 const publicationsService = require('./services/publicationsService');
+const pricingJobService = require('./services/pricingJobService');
+const resilienceService = require('./services/resilienceService');
+const apiService = require('./services/apiService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,37 +27,26 @@ app.use('/icons', express.static('icons'));
 app.get('/health', (req, res) => {
   const cacheStats = publicationsService.getCacheStats();
   res.status(200).json({
-    status: 'healthy',
+    status: resilienceService.isDegraded() ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     service: 'canvas-app',
     cache: {
       publicationsLoaded: cacheStats.hasCachedPublications,
-      cacheStats: cacheStats.stats
-    }
+      cacheStats: cacheStats.stats,
+      catalogWarnings: apiService.getCatalogWarnings()
+    },
+    pricingJobs: pricingJobService.getStats(),
+    upstream: resilienceService.getStats()
   });
 });
 
-// Publications endpoint
-app.get('/publications', async (req, res) => {
-  try {
-    const publications = await publicationsService.getPublicationsWithFallback();
-    res.json({
-      success: true,
-      count: publications.length,
-      data: publications
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
 // Mount route modules
 app.use('/pricing', pricingRoutes);
 app.use('/timeline', timelineRoutes);
 app.use('/cache', cacheRoutes);
+app.use('/quotes', quoteRoutes);
+app.use('/history', historyRoutes);
+app.use('/publications', publicationRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -60,11 +55,24 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
-      publications: '/publications',
+      publications: {
+        list: '/publications?q&country&region&type&publisher&limit&cursor&fields',
+        publication: '/publications/:uuid?fields',
+        overrides: '/publications/overrides',
+        reloadOverrides: 'POST /publications/overrides/reload'
+      },
       icons: '/icons/*',
       cache: {
         status: '/cache/status',
-        clear: 'DELETE /cache/clear'
+        clear: 'DELETE /cache/clear?target=publications|pricing'
+      },
+      history: {
+        publication: '/history/publications/:uuid?package&tier&runDate&from&to&limit',
+        trend: '/history/publications/:uuid/trend?interval=day|week|month'
+      },
+      quotes: {
+        page: '/quotes/:id',
+        json: '/quotes/:id.json'
       },
       pricing: {
         initialize: '/pricing/initialize',
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const publicationsService = require('../services/publicationsService');
+const pricingCacheService = require('../services/pricingCacheService');
+
+const CACHE_TARGETS = ['publications', 'pricing'];
 
 // Cache status endpoint
 router.get('/status', (req, res) => {
@@ -10,17 +13,31 @@ router.get('/status', (req, res) => {
     publications: {
       cached: cacheStats.hasCachedPublications,
       count: cacheStats.hasCachedPublications ? publicationsService.getPublications().length : 0
-    }
+    },
+    pricing: pricingCacheService.getCacheStats()
   });
 });
 
-// Clear cache endpoint
+// Clear cache endpoint, optionally limited with ?target=publications or ?target=pricing
 router.delete('/clear', (req, res) => {
+  const target = req.query.target;
+  if (target && !CACHE_TARGETS.includes(target)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown cache target "${target}". Use one of: ${CACHE_TARGETS.join(', ')}`
+    });
+  }
+
   try {
-    publicationsService.clearCache();
+    if (!target || target === 'publications') {
+      publicationsService.clearCache();
+    }
+    if (!target || target === 'pricing') {
+      pricingCacheService.clearCache();
+    }
     res.json({
       success: true,
-      message: 'Cache cleared successfully',
+      message: target ? `${target} cache cleared successfully` : 'Cache cleared successfully',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
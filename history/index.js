@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { DateTime } = require('luxon');
+const pricingHistoryService = require('../services/pricingHistoryService');
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+/**
+ * Read the history filters shared by the history and trend endpoints
+ * @param {Object} query - Express query parameters
+ * @returns {Object} { filters } when valid, { error } otherwise
+ */
+const parseHistoryFilters = (query) => {
+  const filters = {
+    packageUuid: query.package,
+    tier: query.tier,
+    runDate: query.runDate
+  };
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const value = DateTime.fromISO(query[field]);
+      if (!value.isValid) {
+        return { error: `"${field}" must be an ISO date such as 2026-10-01` };
+      }
+      filters[field] = value;
+    }
+  }
+
+  return { filters };
+};
+
+// Price history for a publication, newest first
+router.get('/publications/:uuid', async (req, res) => {
+  const { filters, error } = parseHistoryFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const requestedLimit = Math.floor(Number(req.query.limit));
+  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, MAX_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT;
+
+  try {
+    const history = await pricingHistoryService.getHistory(req.params.uuid, filters);
+    res.json({
+      success: true,
+      count: history.length,
+      data: history.slice(0, limit)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// How a publication's prices moved over time, per tier
+router.get('/publications/:uuid/trend', async (req, res) => {
+  const { filters, error } = parseHistoryFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const interval = req.query.interval || 'week';
+  if (!pricingHistoryService.isValidInterval(interval)) {
+    return res.status(400).json({
+      success: false,
+      error: '"interval" must be day, week or month'
+    });
+  }
+
+  try {
+    const trend = await pricingHistoryService.getTrend(req.params.uuid, {
+      ...filters,
+      interval
+    });
+    res.json({
+      success: true,
+      data: trend
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const { DateTime } = require('luxon');
 const publicationsService = require('../services/publicationsService');
+const searchService = require('../services/searchService');
 const apiService = require('../services/apiService');
+const pricingTiersService = require('../services/pricingTiersService');
+const pricingService = require('../services/pricingService');
+const pricingJobService = require('../services/pricingJobService');
+const quoteService = require('../services/quoteService');
+const pricingHistoryService = require('../services/pricingHistoryService');
+const currencyService = require('../services/currencyService');
+const calendarService = require('../services/calendarService');
+const dateParserService = require('../services/dateParserService');
 const utils = require('../services/utilis');
+const {
+    SERVICES,
+    AuthError,
+    NotFoundError,
+    ValidationError,
+    UpstreamServerError,
+    TimeoutError,
+    NetworkError,
+    CircuitOpenError
+} = require('../services/errors');
 
 const initialCanvas = {
     canvas: {
@@ -17,7 +37,24 @@ const initialCanvas = {
                     "type": "input",
                     "id": "newspaper",
                     "label": "Newspaper Name",
-                    "placeholder": "Enter the newspaper name..."
+                    "placeholder": "e.g. Tampa Bay Times, or publisher: Gannett, state: FL"
+                },
+                {
+                    "type": "input",
+                    "id": "city",
+                    "label": "City (optional)",
+                    "placeholder": "The family's hometown, if they do not know the paper"
+                },
+                {
+                    "type": "dropdown",
+                    "id": "region",
+                    "label": "Country / Region",
+                    "value": "all",
+                    "options": publicationsService.getRegionOptions().map(option => ({
+                        "type": "option",
+                        "id": option.id,
+                        "text": option.label
+                    }))
                 },
                 {
                     "type": "spacer",
@@ -31,10 +68,1809 @@ const initialCanvas = {
                     "action": {
                         "type": "submit"
                     }
+                },
+                {
+                    "type": "button",
+                    "id": "submit-compare-newspapers",
+                    "label": "Compare Several Newspapers",
+                    "style": "secondary",
+                    "action": {
+                        "type": "submit"
+                    }
+                }
+            ],
+        },
+    },
+};
+
+const MAX_RUN_DATES = 7;
+
+// How far ahead the cheapest run date finder looks
+const CHEAPEST_DATE_WINDOW_DAYS = 14;
+
+// How many newspapers can be priced side by side in one comparison
+const MAX_COMPARE_PUBLICATIONS = parseInt(process.env.COMPARE_MAX_PUBLICATIONS) || 5;
+
+const OBITUARY_SPEC_LIMITS = {
+    wordCount: { min: 1, max: 3000 },
+    photos: { min: 0, max: 10 },
+    columns: { min: 1, max: 6 },
+    depth: { min: 1, max: 22 }
+};
+
+/**
+ * Read the data stored on the canvas the agent is currently looking at
+ * @param {Object} body - Intercom submit request body
+ * @returns {Object} Stored data, empty if none
+ */
+const getStoredData = (body) => {
+    return (body.current_canvas && body.current_canvas.stored_data) || {};
+};
+
+/**
+ * Whether stored data holds the run dates a pricing step needs
+ * Stored data from an earlier version of this app, or a malformed canvas, may not
+ * @param {Object} storedData - Stored data from getStoredData
+ * @returns {boolean} True when there is at least one run date
+ */
+const hasRunDates = (storedData) => {
+    return Array.isArray(storedData.runDates) && storedData.runDates.length > 0;
+};
+
+/**
+ * Look up a publication in the catalog cache
+ * @param {string} publicationUuid - Publication UUID
+ * @returns {Promise<Object|undefined>} Publication, if it is in the catalog
+ */
+const getPublication = async (publicationUuid) => {
+    const publications = await publicationsService.getPublicationsWithFallback();
+    return publications.find(pub => pub.uuid === publicationUuid);
+};
+
+/**
+ * Look up a publication name from the catalog cache, falling back to the UUID
+ * @param {string} publicationUuid - Publication UUID
+ * @returns {Promise<string>} Publication name
+ */
+const getPublicationName = async (publicationUuid) => {
+    const selectedPublication = await getPublication(publicationUuid);
+    return selectedPublication ? selectedPublication.name : publicationUuid;
+};
+
+/**
+ * Parse and validate the obituary details form
+ * @param {Object} inputValues - Intercom input values
+ * @param {Array<Object>} availableUpsells - Upsells offered by the selected package
+ * @returns {Object} { spec } when valid, { error } otherwise
+ */
+const parseObituarySpec = (inputValues = {}, availableUpsells = []) => {
+    const parseNumber = (field, label, defaultValue) => {
+        const raw = inputValues[field] === undefined ? '' : String(inputValues[field]).trim();
+        if (raw === '') {
+            if (defaultValue === undefined) {
+                throw new Error(`Please enter the ${label}`);
+            }
+            return defaultValue;
+        }
+        const value = Number(raw);
+        const { min, max } = OBITUARY_SPEC_LIMITS[field];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`The ${label} must be a whole number between ${min} and ${max}`);
+        }
+        return value;
+    };
+
+    // A pasted draft is priced as-is, so its word count wins over the word count input
+    const draftText = (inputValues.draftText || '').trim();
+    const draftCounts = apiService.countObituaryText(draftText);
+    if (draftText && draftCounts.words > OBITUARY_SPEC_LIMITS.wordCount.max) {
+        return { error: `The draft is ${draftCounts.words} words; drafts over ${OBITUARY_SPEC_LIMITS.wordCount.max} words cannot be priced here` };
+    }
+
+    try {
+        const spec = {
+            wordCount: draftText ? draftCounts.words : parseNumber('wordCount', 'word count'),
+            photos: parseNumber('photos', 'number of photos', 0),
+            emblem: inputValues.emblem === 'emblem-yes',
+            columns: parseNumber('columns', 'number of columns', 1),
+            depth: parseNumber('depth', 'depth', 1),
+            // Ignore upsells left over from a package the agent has since switched away from
+            upsells: (Array.isArray(inputValues.upsells) ? inputValues.upsells : [])
+                .filter(uuid => availableUpsells.some(upsell => upsell.uuid === uuid))
+        };
+        if (draftText) {
+            spec.text = draftText;
+            spec.lineCount = draftCounts.lines;
+        }
+        return { spec };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+/**
+ * Read the estimator chosen on the obituary details form
+ * @param {Object} inputValues - Intercom input values
+ * @returns {Object} { choice, estimator, compare }
+ */
+const parseEstimatorChoice = (inputValues = {}) => {
+    const defaultEstimator = apiService.getDefaultEstimator();
+    const choice = inputValues.estimator;
+    if (choice === 'compare') {
+        return { choice, estimator: defaultEstimator, compare: true };
+    }
+    if (apiService.estimators.includes(choice)) {
+        return { choice, estimator: choice, compare: false };
+    }
+    return { choice: defaultEstimator, estimator: defaultEstimator, compare: false };
+};
+
+/**
+ * Turn an estimator id like "machine-learning" into "Machine Learning"
+ * @param {string} estimator - Estimator id
+ * @returns {string} Display name
+ */
+const describeEstimator = (estimator) => {
+    return estimator
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+};
+
+/**
+ * Describe an obituary spec in one line for the pricing canvas
+ * @param {Object} spec - Obituary spec
+ * @returns {string} Spec summary
+ */
+const describeObituarySpec = (spec) => {
+    const parts = [
+        spec.text ? `draft text, ${spec.wordCount} words, ${spec.lineCount} lines` : `${spec.wordCount} words`,
+        `${spec.photos} photo${spec.photos === 1 ? '' : 's'}`,
+        spec.emblem ? 'emblem' : 'no emblem',
+        `${spec.columns} col x ${spec.depth} depth`
+    ];
+    const upsellCount = (spec.upsells || []).length;
+    if (upsellCount > 0) {
+        parts.push(`${upsellCount} upsell${upsellCount === 1 ? '' : 's'}`);
+    }
+    return parts.join(' · ');
+};
+
+/**
+ * Build the obituary details form shown after a newspaper is selected
+ * @param {Object} storedData - Selected publication, date and package
+ * @param {Object} options - Previous input values and validation error
+ * @returns {Object} Canvas response
+ */
+const createObituaryDetailsCanvas = (storedData, { values = {}, error = null } = {}) => {
+    const isComparison = Array.isArray(storedData.comparePublications);
+    const components = [
+        {
+            "type": "text",
+            "text": "*Obituary Details*",
+            "style": "header",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": `${storedData.publicationName} - ${storedData.date}`,
+            "style": "muted",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": isComparison ?
+                'Each paper is priced with its default package' :
+                `Package: ${storedData.package.name || storedData.package.uuid} (${storedData.package.type})`,
+            "style": "muted"
+        }
+    ];
+
+    if (error) {
+        components.push({
+            "type": "text",
+            "id": "error",
+            "text": error,
+            "style": "error"
+        });
+    }
+
+    components.push(
+        {
+            "type": "input",
+            "id": "wordCount",
+            "label": "Word Count",
+            "placeholder": "e.g. 250",
+            "value": values.wordCount || ''
+        },
+        {
+            "type": "textarea",
+            "id": "draftText",
+            "label": "Draft Obituary (optional)",
+            "placeholder": "Paste the family's draft to price the actual text; its word count replaces the one above",
+            "value": values.draftText || ''
+        },
+        {
+            "type": "input",
+            "id": "photos",
+            "label": "Number of Photos",
+            "placeholder": "0",
+            "value": values.photos || ''
+        },
+        {
+            "type": "dropdown",
+            "id": "emblem",
+            "label": "Emblem",
+            "value": values.emblem || 'emblem-no',
+            "options": [
+                {
+                    "type": "option",
+                    "id": "emblem-no",
+                    "text": "No emblem"
+                },
+                {
+                    "type": "option",
+                    "id": "emblem-yes",
+                    "text": "Include emblem"
+                }
+            ]
+        },
+        {
+            "type": "input",
+            "id": "columns",
+            "label": "Columns",
+            "placeholder": "1",
+            "value": values.columns || ''
+        },
+        {
+            "type": "input",
+            "id": "depth",
+            "label": "Depth",
+            "placeholder": "1",
+            "value": values.depth || ''
+        }
+    );
+
+    const upsells = isComparison ? [] : (storedData.package.upsells || []);
+    if (upsells.length > 0) {
+        components.push({
+            "type": "checkbox",
+            "id": "upsells",
+            "label": "Upsells",
+            "value": values.upsells || [],
+            "options": upsells.map(upsell => ({
+                "type": "option",
+                "id": upsell.uuid,
+                "text": upsell.name || upsell.uuid
+            }))
+        });
+    }
+
+    components.push(
+        {
+            "type": "dropdown",
+            "id": "estimator",
+            "label": "Estimator",
+            "value": values.estimator || storedData.estimatorChoice || apiService.getDefaultEstimator(),
+            "options": [
+                ...apiService.estimators.map(estimator => ({
+                    "type": "option",
+                    "id": estimator,
+                    "text": describeEstimator(estimator)
+                })),
+                ...(apiService.estimators.length > 1 && !isComparison ? [{
+                    "type": "option",
+                    "id": "compare",
+                    "text": "Compare estimators side by side"
+                }] : [])
+            ]
+        },
+        {
+            "type": "spacer",
+            "size": "s"
+        },
+    );
+
+    if (isComparison) {
+        components.push({
+            "type": "button",
+            "id": "submit-compare-pricing",
+            "label": `Compare Prices in ${storedData.comparePublications.length} Papers`,
+            "style": "primary",
+            "action": {
+                "type": "submit"
+            }
+        });
+    } else {
+        components.push(
+            {
+                "type": "button",
+                "id": "submit-custom-pricing",
+                "label": "Price This Obituary",
+                "style": "primary",
+                "action": {
+                    "type": "submit"
+                }
+            },
+            {
+                "type": "button",
+                "id": "submit-standard-pricing",
+                "label": "Price Standard Sizes",
+                "style": "secondary",
+                "action": {
+                    "type": "submit"
+                }
+            },
+            {
+                "type": "button",
+                "id": "submit-cheapest-date",
+                "label": `Find Cheapest Run Date (Next ${CHEAPEST_DATE_WINDOW_DAYS} Days)`,
+                "style": "secondary",
+                "action": {
+                    "type": "submit"
+                }
+            }
+        );
+    }
+
+    if (storedData.packages && storedData.packages.length > 1) {
+        components.push({
+            "type": "button",
+            "id": "change-package",
+            "label": "Change Package",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        });
+    }
+
+    components.push(
+        {
+            "type": "button",
+            "id": "back-to-home",
+            "label": "Back",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        }
+    );
+
+    return {
+        canvas: {
+            content: {
+                components
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Keep the package fields the later steps use, so stored data stays small
+ * @param {Object} pkg - Package from apiService.fetchPackagesByPublication
+ * @returns {Object} { uuid, name, type, description, upsells: [{ uuid, name }] }
+ */
+const toStoredPackage = (pkg) => ({
+    uuid: pkg.uuid,
+    name: pkg.name,
+    type: pkg.type,
+    description: pkg.description,
+    upsells: (pkg.upsells || []).map(upsell => ({
+        uuid: upsell.uuid,
+        name: upsell.name
+    }))
+});
+
+/**
+ * Fetch the publication's packages and show the package picker, or the details form when there is only one
+ * @param {Object} storedData - Selected publication and dates
+ * @returns {Promise<Object>} Canvas response
+ */
+const createPackageStepCanvas = async (storedData) => {
+    let packages;
+    try {
+        console.log('Fetching package information for publication:', storedData.publicationUuid);
+        packages = await apiService.fetchPackagesByPublication(storedData.publicationUuid);
+    } catch (error) {
+        console.error('Error fetching packages:', error.message);
+        return createPricingErrorCanvas(error);
+    }
+
+    const packageData = {
+        ...storedData,
+        packages: packages.map(toStoredPackage)
+    };
+
+    // Only ask the agent to choose when there is a choice to make
+    if (packageData.packages.length > 1) {
+        return createPackagePickerCanvas(packageData);
+    }
+
+    return createObituaryDetailsCanvas({ ...packageData, package: packageData.packages[0] });
+};
+
+/**
+ * Build the warning shown when requested run dates do not match the publishing calendar
+ * @param {Object} storedData - Selected publication and dates
+ * @param {Object} validation - Result from calendarService.validateRunDates
+ * @returns {Object} Canvas response
+ */
+const createRunDateWarningCanvas = (storedData, validation) => {
+    const describeIssue = (issue) => {
+        if (issue.reason === 'past') {
+            return `${formatRunDate(issue.date)} is in the past`;
+        }
+        if (issue.reason === 'deadline-passed') {
+            return `${formatRunDate(issue.date)}: the submission deadline passed on ${issue.submissionDate.toFormat('ccc M/d h:mm a')} ${issue.submissionDate.offsetNameShort}`;
+        }
+        return `${formatRunDate(issue.date)}: ${storedData.publicationName} does not publish that day`;
+    };
+
+    const components = [
+        {
+            "type": "text",
+            "text": "*Check the Run Date*",
+            "style": "header",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": storedData.publicationName,
+            "style": "muted"
+        },
+        ...validation.issues.map(issue => ({
+            "type": "text",
+            "text": describeIssue(issue),
+            "style": "error",
+            "bottom_margin": "none"
+        })),
+        {
+            "type": "spacer",
+            "size": "s"
+        }
+    ];
+
+    if (validation.suggestions.length > 0) {
+        components.push(
+            {
+                "type": "text",
+                "text": `Nearest open run dates instead of ${formatRunDate(validation.issues[0].date)}:`,
+                "style": "paragraph"
+            },
+            ...validation.suggestions.map(date => ({
+                "type": "button",
+                "id": `rundate_${date}`,
+                "label": formatRunDate(date),
+                "style": "primary",
+                "action": {
+                    "type": "submit"
+                }
+            }))
+        );
+    }
+
+    components.push(
+        {
+            "type": "button",
+            "id": "confirm-run-dates",
+            "label": "Continue With Entered Dates",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        },
+        {
+            "type": "button",
+            "id": "back-to-home",
+            "label": "Back",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        }
+    );
+
+    return {
+        canvas: {
+            content: {
+                components
+            },
+            stored_data: {
+                ...storedData,
+                replaceDate: validation.issues[0].date
+            }
+        }
+    };
+};
+
+/**
+ * Build the package picker listing every package the publication offers
+ * @param {Object} storedData - Selected publication, date and packages
+ * @returns {Object} Canvas response
+ */
+const createPackagePickerCanvas = (storedData) => {
+    const defaultPackage = apiService.selectDefaultPackage(storedData.packages);
+
+    // Show the default package first so the usual choice is one click away
+    const packages = [
+        defaultPackage,
+        ...storedData.packages.filter(pkg => pkg.uuid !== defaultPackage.uuid)
+    ];
+
+    const listItems = packages.map(pkg => ({
+        "type": "item",
+        "id": `package_${pkg.uuid}`,
+        "title": pkg.name || pkg.uuid,
+        "subtitle": pkg.uuid === defaultPackage.uuid ? `${pkg.type} (default)` : pkg.type,
+        "tertiary_text": pkg.description || '',
+        "action": {
+            "type": "submit"
+        }
+    }));
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": "*Select Package*",
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `${storedData.publicationName} - ${storedData.date}`,
+                        "style": "muted"
+                    },
+                    {
+                        "type": "list",
+                        "id": "package-selection",
+                        "label": `Packages (${packages.length} available)`,
+                        "items": listItems
+                    },
+                    {
+                        "type": "spacer",
+                        "size": "s"
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Back",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Build an error canvas with a cross icon, a title and a message
+ * @param {string} title - Error title
+ * @param {string} message - Error details for the agent
+ * @returns {Object} Canvas response
+ */
+const createErrorCanvas = (title, message) => {
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "image",
+                        "url": `${process.env.BASE_URL}/icons/cross.png`,
+                        "width": 40,
+                        "height": 40,
+                        "align": "center"
+                    },
+                    {
+                        "type": "text",
+                        "text": title,
+                        "align": "center",
+                        "style": "header"
+                    },
+                    {
+                        "type": "text",
+                        "text": message,
+                        "align": "center",
+                        "style": "muted"
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Back to Home",
+                        "style": "primary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            }
+        }
+    };
+};
+
+/**
+ * Build the canvas shown while an upstream circuit breaker is open, instead of a plain error
+ * @param {CircuitOpenError} error - Error raised by resilienceService
+ * @returns {Object} Canvas response
+ */
+const createDegradedCanvas = (error) => {
+    const retryAt = error.retryAt ? DateTime.fromJSDate(error.retryAt) : null;
+    const retryText = retryAt && retryAt > DateTime.now() ?
+        `We will try it again ${retryAt.toRelative()}.` :
+        "We are checking whether it has recovered.";
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": `*${error.service} degraded*`,
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `The ${error.service} has failed several times in a row, so requests to it are paused. ${retryText}`,
+                        "style": "muted"
+                    },
+                    {
+                        "type": "text",
+                        "text": "Please price this newspaper in ObitPortal for now, or come back in a minute."
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Back to Home",
+                        "style": "primary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            }
+        }
+    };
+};
+
+/**
+ * Describe why pricing failed and what the agent can do about it
+ * @param {Error} error - Error raised while pricing, usually one of services/errors
+ * @returns {Object} { title, message }
+ */
+const describePricingError = (error) => {
+    const service = error.service || SERVICES.PRICING_API;
+    const status = error.status ? ` (HTTP ${error.status})` : '';
+
+    if (error instanceof TimeoutError) {
+        return {
+            title: "Pricing Request Timed Out",
+            message: `${error.message}. Try again in a few minutes, or price this newspaper in ObitPortal.`
+        };
+    }
+    if (error instanceof NetworkError) {
+        return {
+            title: `Cannot Reach the ${service}`,
+            message: `The ${service} could not be reached. Try again shortly; if it keeps happening, price this newspaper in ObitPortal and let engineering know.`
+        };
+    }
+    if (error instanceof UpstreamServerError) {
+        return {
+            title: `${service} Error`,
+            message: `The ${service} had an internal error${status}. Try again in a few minutes; if it keeps failing, price this newspaper in ObitPortal.`
+        };
+    }
+    if (error instanceof AuthError) {
+        return {
+            title: "Pricing Access Denied",
+            message: `The ${service} rejected this app's credentials${status}, so retrying will not help. Ask an admin to check the API key, and price this newspaper in ObitPortal meanwhile.`
+        };
+    }
+    if (error instanceof NotFoundError && service === SERVICES.CALENDAR) {
+        return {
+            title: "Publishing Calendar Not Found",
+            message: `${error.message}. Enter the run dates yourself, checking the newspaper's publishing days in ObitPortal.`
+        };
+    }
+    if (error instanceof NotFoundError) {
+        return {
+            title: "Newspaper or Package Not Found",
+            message: `${error.message}. It may have been removed or renamed; search for the newspaper again and pick it from the new results.`
+        };
+    }
+    if (error instanceof ValidationError) {
+        const details = error.fields.length > 0 ?
+            error.fields.map(field => (field.field ? `${field.field}: ${field.message}` : field.message)).join('; ') :
+            error.message;
+        return {
+            title: "Check the Obituary Details",
+            message: `The ${service} did not accept these details: ${details}. Start again with corrected details.`
+        };
+    }
+
+    return {
+        title: "Failed to get pricing estimates",
+        message: `${error.message}${status}`
+    };
+};
+
+/**
+ * Build the error canvas shown when pricing fails
+ * @param {Error} error - Error raised while pricing
+ * @returns {Object} Canvas response
+ */
+const createPricingErrorCanvas = (error) => {
+    if (error instanceof CircuitOpenError) {
+        return createDegradedCanvas(error);
+    }
+
+    const { title, message } = describePricingError(error);
+    return createErrorCanvas(title, message);
+};
+
+/**
+ * Build the canvas shown while a pricing job is still running upstream
+ * @param {Object} storedData - Stored data to carry into the result
+ * @param {Object} job - Pending job from pricingJobService
+ * @returns {Object} Canvas response
+ */
+const createStillCalculatingCanvas = (storedData, job) => {
+    const startedAt = DateTime.fromISO(job.startedAt);
+    const elapsedSeconds = Math.round(-startedAt.diffNow('seconds').seconds);
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": "*Still calculating…*",
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `The estimator is taking longer than usual (${elapsedSeconds}s so far). The price will be ready here once it answers.`,
+                        "style": "muted"
+                    },
+                    {
+                        "type": "button",
+                        "id": "refresh-pricing",
+                        "label": "Refresh",
+                        "style": "primary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Look Up Other Newspaper",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            },
+            stored_data: {
+                ...storedData,
+                pricingJobId: job.id
+            }
+        }
+    };
+};
+
+/**
+ * Wait for a pricing job for as long as the canvas can, then show its result or a "Still calculating…" canvas
+ * @param {Object} storedData - Stored data to carry into the "Still calculating…" canvas
+ * @param {string} jobId - Job ID from pricingJobService
+ * @returns {Promise<Object>} Canvas response
+ */
+const createPricingJobCanvas = async (storedData, jobId) => {
+    const job = await pricingJobService.waitFor(jobId);
+    if (!job) {
+        return createErrorCanvas(
+            "Price No Longer Available",
+            "This price check has expired. Please look up the newspaper and price the obituary again."
+        );
+    }
+    if (job.status === 'failed') {
+        return createPricingErrorCanvas(job.error);
+    }
+    if (job.status === 'pending') {
+        return createStillCalculatingCanvas(storedData, job);
+    }
+    return job.result;
+};
+
+/**
+ * Price in a background job so a slow estimator does not lose the agent's request
+ * @param {Object} storedData - Stored data to carry into the "Still calculating…" canvas
+ * @param {Function} task - Async function producing the result canvas
+ * @returns {Promise<Object>} Canvas response
+ */
+const runPricingJob = (storedData, task) => {
+    const job = pricingJobService.start(task);
+    return createPricingJobCanvas(storedData, job.id);
+};
+
+/**
+ * Format a YYYY-MM-DD run date for display
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} e.g. "Sat 10/25/26"
+ */
+const formatRunDate = (date) => {
+    const parsed = DateTime.fromISO(date);
+    return parsed.isValid ? parsed.toFormat('ccc M/d/yy') : date;
+};
+
+/**
+ * Describe the run dates that were actually priced, so the agent sees how their input was read
+ * @param {Array<string>} runDates - Dates in YYYY-MM-DD format
+ * @returns {string} e.g. "Sat 10/25/26, Sun 10/26/26"
+ */
+const describeRunDates = (runDates) => runDates.map(formatRunDate).join(', ');
+
+/**
+ * Build the text components for one priced obituary
+ * @param {string} label - Label shown above the price
+ * @param {Object} result - Result from pricingService.priceSchedule
+ * @param {string} countryCode - Publication country_code, for the currency
+ * @returns {Array} Canvas components
+ */
+const createPriceComponents = (label, result, countryCode) => {
+    const formatPrice = (amount) => currencyService.formatPrice(amount, countryCode);
+    const components = [
+        {
+            "type": "text",
+            "text": `*${label}*`,
+            "style": "muted",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": formatPrice(result.total),
+            "style": "paragraph"
+        }
+    ];
+
+    const notes = [];
+    if (result.perDate.length > 0) {
+        notes.push(result.perDate.map(entry => `${formatRunDate(entry.date)}: ${formatPrice(entry.total)}`).join(' · '));
+    }
+    if (result.alternate) {
+        notes.push(Number(result.alternate.total) === Number(result.total) ?
+            `${describeEstimator(result.estimator)} and ${describeEstimator(result.alternate.estimator)} estimators agree` :
+            `${describeEstimator(result.estimator)}: ${formatPrice(result.total)} · ${describeEstimator(result.alternate.estimator)}: ${formatPrice(result.alternate.total)}`);
+    }
+
+    notes.forEach(note => {
+        components[components.length - 1].bottom_margin = "none";
+        components.push({
+            "type": "text",
+            "text": note,
+            "style": "muted"
+        });
+    });
+
+    return components;
+};
+
+/**
+ * Look up the display name of a package upsell
+ * @param {Object} selectedPackage - Package with its upsells
+ * @param {string} uuid - Upsell UUID
+ * @returns {string} Upsell name, or the UUID when the name is unknown
+ */
+const describeUpsell = (selectedPackage, uuid) => {
+    const upsell = (selectedPackage.upsells || []).find(entry => entry.uuid === uuid);
+    return upsell && upsell.name ? upsell.name : uuid;
+};
+
+/**
+ * Build the components breaking a price down into the base obituary and each selected upsell
+ * @param {Object} selectedPackage - Package with its upsells
+ * @param {Object} item - Priced item from createPricedItem
+ * @param {string} countryCode - Publication country_code, for the currency
+ * @returns {Array} Canvas components, empty when no upsells were selected
+ */
+const createUpsellComponents = (selectedPackage, item, countryCode) => {
+    if (!item.upsellPricing) {
+        return [];
+    }
+
+    return [
+        {
+            "type": "data-table",
+            "items": [
+                {
+                    "type": "field-value",
+                    "field": "Base obituary",
+                    "value": currencyService.formatPrice(item.upsellPricing.baseTotal, countryCode)
+                },
+                ...item.upsellPricing.upsells.map(upsell => ({
+                    "type": "field-value",
+                    "field": describeUpsell(selectedPackage, upsell.uuid),
+                    "value": currencyService.formatPrice(upsell.contribution, countryCode, { signed: true })
+                })),
+                {
+                    "type": "field-value",
+                    "field": "With all selected upsells",
+                    "value": currencyService.formatPrice(item.result.total, countryCode)
+                }
+            ]
+        }
+    ];
+};
+
+/**
+ * Explain that the chosen estimator did not answer and another one priced the results
+ * @param {Object} result - Result from pricingService
+ * @returns {string|null} Notice for the agent, or null when the chosen estimator answered
+ */
+const describeEstimatorFallback = (result) => {
+    if (!result || !result.fallbackFrom) {
+        return null;
+    }
+    return `The ${describeEstimator(result.fallbackFrom)} estimator did not respond, so these prices come from the ${describeEstimator(result.estimator)} estimator.`;
+};
+
+/**
+ * Keep what the result and breakdown canvases need from a pricing result, so it fits in stored data
+ * @param {string} label - Label shown above the price
+ * @param {Object} result - Result from pricingService.priceSchedule
+ * @param {Object} upsellPricing - Result from pricingService.priceWithUpsells, when upsells were selected
+ * @returns {Object} Priced item
+ */
+const createPricedItem = (label, result, upsellPricing = null) => ({
+    label,
+    result: {
+        spec: result.spec,
+        estimate: result.estimate,
+        total: result.total,
+        perDate: result.perDate.map(({ date, total }) => ({ date, total })),
+        estimator: result.estimator,
+        fallbackFrom: result.fallbackFrom,
+        alternate: result.alternate ? { estimator: result.alternate.estimator, total: result.alternate.total } : null
+    },
+    upsellPricing: upsellPricing && upsellPricing.upsells.length > 0 ? {
+        baseTotal: upsellPricing.base.total,
+        upsells: upsellPricing.upsells
+    } : null
+});
+
+/**
+ * Build the canvas showing pricing results for the selected paper
+ * @param {Object} storedData - Selected publication, dates and package
+ * @param {Array} pricedItems - Items from createPricedItem, each with its own Breakdown button
+ * @param {Object} options - Label for the button that goes back to the details form, an optional notice,
+ * and the pricing action ('custom' or 'standard') to repeat when the agent re-prices
+ * @returns {Object} Canvas response
+ */
+const createPricingResultCanvas = (storedData, pricedItems, { editLabel, notice = null, action = null }) => {
+    const priceComponents = [];
+    pricedItems.forEach((item, index) => {
+        priceComponents.push(
+            ...createPriceComponents(item.label, item.result, storedData.countryCode),
+            ...createUpsellComponents(storedData.package, item, storedData.countryCode),
+            {
+                "type": "button",
+                "id": `breakdown_${index}`,
+                "label": "Breakdown",
+                "style": "link",
+                "action": {
+                    "type": "submit"
+                }
+            }
+        );
+    });
+
+    const runDateText = storedData.runDates.length > 1 ?
+        `- Run Dates (${storedData.runDates.length}): ${describeRunDates(storedData.runDates)}` :
+        `- Publish Date: ${storedData.date}`;
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": "*Paper Details:*",
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `- ${storedData.publicationName}`,
+                        "style": "paragraph",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `- Package: ${storedData.package.name || storedData.package.uuid}`,
+                        "style": "paragraph",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": runDateText,
+                        "style": "paragraph"
+                    },
+                    {
+                        "type": "spacer",
+                        "size": "s"
+                    },
+                    {
+                        "type": "text",
+                        "text": storedData.runDates.length > 1 ? "*Pricing Details (all run dates combined):*" : "*Pricing Details:*",
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    ...priceComponents,
+                    ...(notice ? [{
+                        "type": "text",
+                        "text": notice,
+                        "style": "muted"
+                    }] : []),
+                    {
+                        "type": "spacer",
+                        "size": "s"
+                    },
+                    {
+                        "type": "button",
+                        "id": "create-quote",
+                        "label": "Create Quote",
+                        "style": "primary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    },
+                    {
+                        "type": "button",
+                        "id": "edit-obituary-details",
+                        "label": editLabel,
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    },
+                    ...(action ? [{
+                        "type": "button",
+                        "id": "reprice-without-cache",
+                        "label": "Re-price (Skip Cache)",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }] : []),
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Look Up Other Newspaper",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            },
+            stored_data: {
+                ...storedData,
+                pricedItems,
+                pricingOptions: { editLabel, notice, action }
+            }
+        }
+    };
+};
+
+/**
+ * Build the quote saved for a pricing result
+ * @param {Object} storedData - Stored data from the pricing result canvas
+ * @param {Object} body - Intercom request body, for the admin and conversation
+ * @returns {Object} Quote for quoteService.createQuote
+ */
+const createQuoteData = (storedData, body) => {
+    const context = body.context || {};
+    return {
+        createdBy: body.admin ? { id: body.admin.id, name: body.admin.name, email: body.admin.email } : null,
+        conversationId: context.conversation_id || (body.conversation && body.conversation.id) || null,
+        publication: {
+            uuid: storedData.publicationUuid,
+            name: storedData.publicationName,
+            countryCode: storedData.countryCode || null
+        },
+        currency: currencyService.getCurrency(storedData.countryCode).currency,
+        runDates: storedData.runDates,
+        package: {
+            uuid: storedData.package.uuid,
+            name: storedData.package.name,
+            type: storedData.package.type
+        },
+        items: storedData.pricedItems.map(item => ({
+            label: item.label,
+            total: item.result.total,
+            perDate: item.result.perDate,
+            spec: item.result.spec,
+            estimator: item.result.estimator,
+            baseTotal: item.upsellPricing ? item.upsellPricing.baseTotal : null,
+            upsells: item.upsellPricing ? item.upsellPricing.upsells.map(upsell => ({
+                uuid: upsell.uuid,
+                name: describeUpsell(storedData.package, upsell.uuid),
+                contribution: upsell.contribution
+            })) : []
+        }))
+    };
+};
+
+/**
+ * Build the canvas showing the link to a saved quote
+ * @param {Object} storedData - Stored data from the pricing result canvas
+ * @param {Object} quote - Quote from quoteService.createQuote
+ * @returns {Object} Canvas response
+ */
+const createQuoteCanvas = (storedData, quote) => {
+    const quoteUrl = quoteService.getQuoteUrl(quote.id);
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": `*Quote ${quote.id} Created*`,
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `${storedData.publicationName} - ${describeRunDates(storedData.runDates)}`,
+                        "style": "muted"
+                    },
+                    {
+                        "type": "text",
+                        "text": "Paste this link into the conversation:",
+                        "style": "paragraph",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": `[${quoteUrl}](${quoteUrl})`,
+                        "style": "paragraph"
+                    },
+                    {
+                        "type": "button",
+                        "id": "open-quote",
+                        "label": "Open Quote",
+                        "style": "secondary",
+                        "action": {
+                            "type": "url",
+                            "url": quoteUrl
+                        }
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-prices",
+                        "label": "Back to Prices",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Look Up Other Newspaper",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Turn an estimate field like "line_count" or "onlineFee" into "Line Count" or "Online Fee"
+ * @param {string} field - Estimate field name
+ * @returns {string} Display name
+ */
+const humanizeEstimateField = (field) => {
+    return field
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[_\s]+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+};
+
+/**
+ * Format an estimate value, showing money fields in the publication's currency
+ * The whole field path is checked, so amounts nested under a money field such as "Taxes · State" count as money
+ * @param {string} field - Estimate field path from describeEstimateLines, e.g. "Taxes · State"
+ * @param {*} value - Estimate value
+ * @param {string} countryCode - Publication country_code, for the currency
+ * @returns {string} Display value
+ */
+const formatEstimateValue = (field, value, countryCode) => {
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    if (typeof value === 'number' && /price|fee|tax|cost|total|rate|amount|charge|discount/i.test(field)) {
+        return currencyService.formatPrice(value, countryCode);
+    }
+    return String(value);
+};
+
+/**
+ * Flatten an estimate into display lines, one per line item
+ * Nested objects and lists are prefixed with their parent field so nothing is hidden
+ * @param {Object} estimate - Estimate from the pricing API
+ * @param {string} countryCode - Publication country_code, for the currency
+ * @param {string} prefix - Display name of the parent field
+ * @returns {Array} Lines: { field, value }
+ */
+const describeEstimateLines = (estimate, countryCode, prefix = '') => {
+    const lines = [];
+    Object.entries(estimate || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+            return;
+        }
+        const field = prefix ? `${prefix} · ${humanizeEstimateField(key)}` : humanizeEstimateField(key);
+        if (Array.isArray(value)) {
+            value.forEach((entry, index) => {
+                if (entry !== null && typeof entry === 'object') {
+                    const { name, ...rest } = entry;
+                    lines.push(...describeEstimateLines(rest, countryCode, `${field} · ${name || index + 1}`));
+                } else {
+                    lines.push({ field: `${field} ${index + 1}`, value: formatEstimateValue(field, entry, countryCode) });
                 }
-            ],
+            });
+        } else if (typeof value === 'object') {
+            lines.push(...describeEstimateLines(value, countryCode, field));
+        } else {
+            lines.push({ field, value: formatEstimateValue(field, value, countryCode) });
+        }
+    });
+    return lines;
+};
+
+/**
+ * Build the canvas itemizing one priced obituary and the assumptions behind its price
+ * @param {Object} storedData - Stored data from the pricing result canvas
+ * @param {Object} item - Priced item from createPricedItem
+ * @returns {Object} Canvas response
+ */
+const createBreakdownCanvas = (storedData, item) => {
+    const { total_price: totalPrice, ...lineItems } = item.result.estimate || {};
+    const formatPrice = (amount) => currencyService.formatPrice(amount, storedData.countryCode);
+    const spec = item.result.spec;
+    const upsells = spec.upsells || [];
+
+    const assumptions = [
+        { field: 'Newspaper', value: storedData.publicationName },
+        { field: 'Package', value: storedData.package.name || storedData.package.uuid },
+        { field: storedData.runDates.length > 1 ? 'Run Dates' : 'Run Date', value: describeRunDates(storedData.runDates) },
+        {
+            field: 'Text',
+            value: spec.text ?
+                `Agent's draft, ${spec.wordCount} words, ${spec.lineCount} lines` :
+                `${spec.wordCount} words of sample text`
         },
-    },
+        { field: 'Photos', value: String(spec.photos) },
+        { field: 'Emblem', value: spec.emblem ? 'Yes' : 'No' },
+        { field: 'Layout', value: `${spec.columns} col x ${spec.depth} depth` },
+        { field: 'Upsells', value: upsells.length > 0 ? upsells.map(uuid => describeUpsell(storedData.package, uuid)).join(', ') : 'None' },
+        {
+            field: 'Estimator',
+            value: item.result.fallbackFrom ?
+                `${describeEstimator(item.result.estimator)} (${describeEstimator(item.result.fallbackFrom)} did not respond)` :
+                describeEstimator(item.result.estimator)
+        }
+    ];
+
+    const toItems = (lines) => lines.map(line => ({
+        "type": "field-value",
+        "field": line.field,
+        "value": line.value
+    }));
+
+    return {
+        canvas: {
+            content: {
+                components: [
+                    {
+                        "type": "text",
+                        "text": `*Price Breakdown: ${item.label}*`,
+                        "style": "header",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "text",
+                        "text": storedData.runDates.length > 1 ? `${formatPrice(item.result.total)} for all run dates combined` : formatPrice(item.result.total),
+                        "style": "paragraph"
+                    },
+                    {
+                        "type": "text",
+                        "text": "*Line Items*",
+                        "style": "muted",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "data-table",
+                        "items": toItems([
+                            ...describeEstimateLines(lineItems, storedData.countryCode),
+                            { field: 'Total', value: formatPrice(totalPrice === undefined ? item.result.total : totalPrice) }
+                        ])
+                    },
+                    {
+                        "type": "text",
+                        "text": "*Assumptions*",
+                        "style": "muted",
+                        "bottom_margin": "none"
+                    },
+                    {
+                        "type": "data-table",
+                        "items": toItems(assumptions)
+                    },
+                    {
+                        "type": "spacer",
+                        "size": "s"
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-prices",
+                        "label": "Back to Prices",
+                        "style": "primary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    },
+                    {
+                        "type": "button",
+                        "id": "back-to-home",
+                        "label": "Look Up Other Newspaper",
+                        "style": "secondary",
+                        "action": {
+                            "type": "submit"
+                        }
+                    }
+                ]
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Build the multi-select search results used to compare several newspapers
+ * @param {Array} publications - Publications matching the search
+ * @param {string} searchTerm - Search term entered by the agent
+ * @param {string|null} regionName - Country/region the search was limited to, if any
+ * @returns {Object} Canvas response
+ */
+const createCompareSelectionCanvas = (publications, searchTerm, regionName = null) => {
+    const components = [
+        {
+            "type": "text",
+            "text": "*Compare Newspapers*",
+            "style": "header",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": `Select up to ${MAX_COMPARE_PUBLICATIONS} newspapers to price side by side`,
+            "style": "muted"
+        }
+    ];
+
+    if (publications.length === 0) {
+        components.push({
+            "type": "text",
+            "text": regionName ?
+                `No newspapers found for "${searchTerm}" in ${regionName}. Try a different search term or region.` :
+                `No newspapers found for "${searchTerm}". Try a different search term.`,
+            "style": "paragraph"
+        });
+    } else {
+        components.push(
+            {
+                "type": "input",
+                "id": "date",
+                "label": "Date(s)",
+                "placeholder": "e.g. 10/25/2026, tomorrow or this Sunday; separate run dates with commas"
+            },
+            {
+                "type": "checkbox",
+                "id": "compare-publications",
+                "label": `Newspapers (${publications.length} found)`,
+                "options": publications.slice(0, 10).map(pub => ({ // Limit to 10 results
+                    "type": "option",
+                    "id": pub.uuid,
+                    "text": `${pub.name} (${publicationsService.describePublication(pub)})`
+                }))
+            },
+            {
+                "type": "button",
+                "id": "submit-compare-selection",
+                "label": "Continue",
+                "style": "primary",
+                "action": {
+                    "type": "submit"
+                }
+            }
+        );
+    }
+
+    components.push(
+        {
+            "type": "spacer",
+            "size": "s"
+        },
+        {
+            "type": "button",
+            "id": "back-to-home",
+            "label": "Back",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        }
+    );
+
+    return {
+        canvas: {
+            content: {
+                components
+            }
+        }
+    };
+};
+
+/**
+ * Build the comparison table for one obituary priced in several newspapers
+ * @param {Object} storedData - Compared publications, dates and spec
+ * @param {Array} comparison - Result from pricingService.comparePublications
+ * @returns {Object} Canvas response
+ */
+const createComparisonCanvas = (storedData, comparison) => {
+    const priced = comparison.filter(entry => !entry.error);
+    const cheapest = priced[0];
+
+    const components = [
+        {
+            "type": "text",
+            "text": "*Price Comparison:*",
+            "style": "header",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": describeObituarySpec(storedData.spec),
+            "style": "muted",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": storedData.runDates.length > 1 ?
+                `Run Dates (${storedData.runDates.length}): ${describeRunDates(storedData.runDates)}` :
+                `Publish Date: ${storedData.date}`,
+            "style": "muted"
+        }
+    ];
+
+    // Prices are not converted, so only name the cheapest paper when they share a currency
+    const currencies = new Set(priced.map(entry => currencyService.getCurrency(entry.publication.countryCode).currency));
+    if (currencies.size > 1) {
+        components.push({
+            "type": "text",
+            "text": "These papers price in different currencies, so the prices are not directly comparable.",
+            "style": "muted"
+        });
+    } else if (cheapest) {
+        components.push({
+            "type": "text",
+            "text": `Cheapest: *${cheapest.publication.name}* at ${currencyService.formatPrice(cheapest.total, cheapest.publication.countryCode)}`,
+            "style": "paragraph"
+        });
+    }
+
+    const fallbackNotice = describeEstimatorFallback(priced.find(entry => entry.fallbackFrom));
+    if (fallbackNotice) {
+        components.push({
+            "type": "text",
+            "text": fallbackNotice,
+            "style": "muted"
+        });
+    }
+
+    components.push(
+        {
+            "type": "data-table",
+            "items": comparison.map((entry, index) => ({
+                "type": "field-value",
+                "field": `${index + 1}. ${entry.publication.name}`,
+                "value": entry.error ? 'Not available' : currencyService.formatPrice(entry.total, entry.publication.countryCode)
+            }))
+        },
+        {
+            "type": "spacer",
+            "size": "s"
+        },
+        {
+            "type": "button",
+            "id": "edit-obituary-details",
+            "label": "Change Obituary Details",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        },
+        {
+            "type": "button",
+            "id": "back-to-home",
+            "label": "Look Up Other Newspapers",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        }
+    );
+
+    return {
+        canvas: {
+            content: {
+                components
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Build the canvas listing upcoming run dates with their prices and deadlines
+ * @param {Object} storedData - Selected publication, package and spec
+ * @param {Array} runDates - Upcoming run dates from calendarService.getUpcomingRunDates
+ * @param {Array} prices - Prices for the run dates whose deadline is still open
+ * @returns {Object} Canvas response
+ */
+const createCheapestDateCanvas = (storedData, runDates, prices) => {
+    const priceByDate = new Map(prices.map(price => [price.date, price]));
+    const cheapest = prices.reduce((best, price) =>
+        (!best || Number(price.total) < Number(best.total) ? price : best), null);
+
+    const components = [
+        {
+            "type": "text",
+            "text": "*Cheapest Run Date:*",
+            "style": "header",
+            "bottom_margin": "none"
+        },
+        {
+            "type": "text",
+            "text": `${storedData.publicationName} - ${describeObituarySpec(storedData.spec)}`,
+            "style": "muted"
+        }
+    ];
+
+    if (cheapest) {
+        components.push({
+            "type": "text",
+            "text": `*${formatRunDate(cheapest.date)}* at ${currencyService.formatPrice(cheapest.total, storedData.countryCode)}`,
+            "style": "paragraph"
+        });
+    } else {
+        components.push({
+            "type": "text",
+            "text": `No run dates with an open deadline in the next ${CHEAPEST_DATE_WINDOW_DAYS} days.`,
+            "style": "paragraph"
+        });
+    }
+
+    const fallbackNotice = describeEstimatorFallback(prices[0]);
+    if (fallbackNotice) {
+        components.push({
+            "type": "text",
+            "text": fallbackNotice,
+            "style": "muted"
+        });
+    }
+
+    if (runDates.length > 0) {
+        components.push({
+            "type": "data-table",
+            "items": runDates.map(dateInfo => {
+                const date = dateInfo.runDate.toISODate();
+                const price = priceByDate.get(date);
+                const deadline = `${dateInfo.submissionDate.toFormat('ccc M/d h:mm a')} ${dateInfo.timezoneAbbr}`;
+                let value = `Deadline passed (${deadline})`;
+                if (price) {
+                    value = `${currencyService.formatPrice(price.total, storedData.countryCode)}${price === cheapest ? ' (cheapest)' : ''} · submit by ${deadline}`;
+                }
+                return {
+                    "type": "field-value",
+                    "field": formatRunDate(date),
+                    "value": value
+                };
+            })
+        });
+    }
+
+    components.push(
+        {
+            "type": "spacer",
+            "size": "s"
+        },
+        {
+            "type": "button",
+            "id": "edit-obituary-details",
+            "label": "Change Obituary Details",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        },
+        {
+            "type": "button",
+            "id": "back-to-home",
+            "label": "Look Up Other Newspaper",
+            "style": "secondary",
+            "action": {
+                "type": "submit"
+            }
+        }
+    );
+
+    return {
+        canvas: {
+            content: {
+                components
+            },
+            stored_data: storedData
+        }
+    };
+};
+
+/**
+ * Fetch the selected package again, skipping the cache, so a re-price picks up package and upsell changes too
+ * The stored package is kept when the packages cannot be fetched or it is no longer offered; pricing reports the problem
+ * @param {Object} storedData - Selected publication, dates and package
+ * @returns {Promise<Object>} Stored data with the fresh package
+ */
+const refreshStoredPackage = async (storedData) => {
+    try {
+        const packages = await apiService.fetchPackagesByPublication(storedData.publicationUuid, { bypassCache: true });
+        const freshPackage = packages.find(pkg => pkg.uuid === storedData.package.uuid);
+        if (!freshPackage) {
+            return storedData;
+        }
+        return {
+            ...storedData,
+            packages: packages.map(toStoredPackage),
+            package: toStoredPackage(freshPackage)
+        };
+    } catch (error) {
+        console.error('Error refreshing packages:', error.message);
+        return storedData;
+    }
+};
+
+/**
+ * Record priced results in the pricing history without holding up the canvas
+ * @param {Object} options - See pricingHistoryService.recordResults
+ */
+const recordPricingHistory = (options) => {
+    pricingHistoryService.recordResults(options).catch(error => {
+        console.error('Error recording pricing history:', error.message);
+    });
+};
+
+/**
+ * Price the agent's custom obituary, with each selected upsell broken out
+ * @param {Object} storedData - Selected publication, dates and package
+ * @param {Object} spec - Obituary spec from parseObituarySpec
+ * @param {string} estimatorChoice - Estimator chosen on the details form
+ * @param {Object} options - Cache options
+ * @param {boolean} options.bypassCache - Price upstream even when the estimates are cached
+ * @returns {Promise<Object>} Result canvas, or an error canvas when pricing fails
+ */
+const priceCustomObituary = async (storedData, spec, estimatorChoice, { bypassCache = false } = {}) => {
+    try {
+        console.log('Making custom pricing API call for UUID:', storedData.publicationUuid, 'Dates:', storedData.runDates, 'Spec:', spec);
+
+        const { choice, estimator, compare } = parseEstimatorChoice({ estimator: estimatorChoice });
+        const pricing = await pricingService.priceWithUpsells({
+            publicationUuid: storedData.publicationUuid,
+            packageUuid: storedData.package.uuid,
+            runDates: storedData.runDates,
+            spec,
+            estimator,
+            compareEstimators: compare,
+            bypassCache
+        });
+        const { result } = pricing;
+
+        console.log('Custom pricing API response received:', result.estimate);
+        recordPricingHistory({
+            publicationUuid: storedData.publicationUuid,
+            countryCode: storedData.countryCode,
+            packageUuid: storedData.package.uuid,
+            runDates: storedData.runDates,
+            results: [result]
+        });
+
+        const pricedItem = createPricedItem(`Custom (${describeObituarySpec(spec)})`, result, pricing);
+        return createPricingResultCanvas({ ...storedData, spec, estimatorChoice: choice }, [pricedItem], {
+            editLabel: 'Change Obituary Details',
+            notice: describeEstimatorFallback(result),
+            action: 'custom'
+        });
+
+    } catch (error) {
+        console.error('Error making custom pricing API call:', error.message);
+        return createPricingErrorCanvas(error);
+    }
+};
+
+/**
+ * Price one obituary per configured pricing tier
+ * @param {Object} storedData - Selected publication, dates and package
+ * @param {string} estimatorChoice - Estimator chosen on the details form
+ * @param {Object} options - Cache options
+ * @param {boolean} options.bypassCache - Price upstream even when the estimates are cached
+ * @returns {Promise<Object>} Result canvas, or an error canvas when pricing fails
+ */
+const priceStandardSizes = async (storedData, estimatorChoice, { bypassCache = false } = {}) => {
+    try {
+        console.log('Making pricing API call for UUID:', storedData.publicationUuid, 'Dates:', storedData.runDates, 'Package:', storedData.package.uuid);
+
+        const tiers = pricingTiersService.getTiers();
+        const { choice, estimator, compare } = parseEstimatorChoice({ estimator: estimatorChoice });
+        const results = await pricingService.priceSchedule({
+            publicationUuid: storedData.publicationUuid,
+            packageUuid: storedData.package.uuid,
+            runDates: storedData.runDates,
+            specs: tiers,
+            estimator,
+            compareEstimators: compare,
+            bypassCache
+        });
+
+        console.log('Pricing API response received:', results.map(result => result.estimate));
+        recordPricingHistory({
+            publicationUuid: storedData.publicationUuid,
+            countryCode: storedData.countryCode,
+            packageUuid: storedData.package.uuid,
+            runDates: storedData.runDates,
+            results
+        });
+
+        const pricedItems = results.map(result => {
+            const tier = result.spec;
+            return createPricedItem(tier.label ? `${tier.name} (${tier.label})` : tier.name, result);
+        });
+
+        return createPricingResultCanvas({ ...storedData, estimatorChoice: choice }, pricedItems, {
+            editLabel: 'Price a Custom Obituary',
+            notice: describeEstimatorFallback(results[0]),
+            action: 'standard'
+        });
+
+    } catch (error) {
+        console.error('Error making pricing API call:', error.message);
+        return createPricingErrorCanvas(error);
+    }
 };
 
 // Initialize pricing endpoint
@@ -47,8 +1883,11 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
     console.log('Received pricing submission:', req.body);
     const body = req.body;
 
-    if (body.component_id === 'submit-search-newspaper') {
-        const searchTerm = body.input_values.newspaper;
+    if (body.component_id === 'submit-search-newspaper' || body.component_id === 'submit-compare-newspapers') {
+        // The optional city input is the same as typing "city: ..." into the search box
+        const searchTerm = [body.input_values.newspaper, body.input_values.city && `city: ${body.input_values.city}`]
+            .filter(value => value && value.trim() !== '')
+            .join(', ');
         console.log('Searching for newspaper:', searchTerm);
 
         // Validate that searchTerm is not empty
@@ -66,7 +1905,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
                             },
                             {
                                 "type": "text",
-                                "text": "Please enter a newspaper name",
+                                "text": "Please enter a newspaper name or city",
                                 "align": "center",
                                 "style": "header"
                             },
@@ -87,30 +1926,26 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
         }
 
         try {
-            // Get publications from cache or fetch if not available
-            let publications = publicationsService.getPublications();
-
-            if (!publications) {
-                console.log('Cache not found, fetching publications...');
-                publications = await publicationsService.fetchPublications();
-            }
+            // Get the catalog for the chosen country/region from cache or fetch if not available
+            const regionFilter = publicationsService.parseRegionOption(body.input_values.region);
+            const regionName = publicationsService.describeFilter(regionFilter);
+            const publications = await publicationsService.getPublicationsWithFallback(regionFilter);
 
-            // Search against name and description fields
-            const filteredPublications = publications.filter(pub => {
-                const nameMatch = pub.name && pub.name.toLowerCase().includes(searchTerm.toLowerCase());
-                const descriptionMatch = pub.description && pub.description.toLowerCase().includes(searchTerm.toLowerCase());
-                return nameMatch || descriptionMatch;
-            });
+            // Ranked search on name, abbreviation, city, state, publisher and description, best match first
+            const filteredPublications = searchService.search(publications, searchTerm);
 
             console.log(`Found ${filteredPublications.length} matching publications`);
 
+            if (body.component_id === 'submit-compare-newspapers') {
+                return res.json(createCompareSelectionCanvas(filteredPublications, searchTerm, regionName));
+            }
+
             // Convert filtered results to canvas list items
             const listItems = filteredPublications.slice(0, 10).map(pub => ({ // Limit to 10 results
                 "type": "item",
                 "id": `uuid_${pub.uuid}`,
                 "title": pub.name,
-                "subtitle": `${pub.city_name}, ${pub.region_code}`,
-                "tertiary_text": pub.publisher_name,
+                "subtitle": publicationsService.describePublication(pub),
                 "action": {
                     "type": "submit"
                 }
@@ -128,20 +1963,20 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
                             {
                                 "type": "input",
                                 "id": "date",
-                                "label": "Date",
-                                "placeholder": "Enter as MM/DD/YYYY"
+                                "label": "Date(s)",
+                                "placeholder": "e.g. 10/25/2026, tomorrow or this Sunday; separate run dates with commas"
                             },
                             {
                                 "type": "list",
                                 "id": "newspaper-selection",
-                                "label": `Select Newspaper (${filteredPublications.length} found)`,
+                                "label": `Select Newspaper (${filteredPublications.length} found${regionName ? ` in ${regionName}` : ''})`,
                                 "items": listItems.length > 0 ? listItems : [
                                     {
                                         "type": "item",
                                         "id": "no-results",
                                         "title": "No newspapers found",
-                                        "subtitle": `No results for "${searchTerm}"`,
-                                        "tertiary_text": "Try a different search term"
+                                        "subtitle": `No results for "${searchTerm}"${regionName ? ` in ${regionName}` : ''}`,
+                                        "tertiary_text": regionName ? "Try a different search term or region" : "Try a different search term"
                                     }
                                 ]
                             },
@@ -209,175 +2044,43 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
     else if (body.component_id && body.component_id.startsWith('uuid_')) {
         const selectedUuid = body.component_id.replace('uuid_', '');
         if (body.input_values.date) {
+            let runDates;
             try {
-                console.log('Making pricing API call for UUID:', selectedUuid, 'Date:', body.input_values.date);
-
-                // Format the date for the API
-                const formattedDate = apiService.formatDateForApi(body.input_values.date);
-
-                // First, fetch the package information for the selected publication
-                console.log('Fetching package information for publication:', selectedUuid);
-                const packageInfo = await apiService.fetchPackagesByPublication(selectedUuid);
-                console.log('Selected package:', packageInfo.uuid);
-
-                // Create request data using the API service with the dynamic package UUID
-                const requestData = apiService.createPricingRequestData(selectedUuid, formattedDate, packageInfo.uuid);
+                runDates = dateParserService.parseRunDates(body.input_values.date);
+            } catch (error) {
+                return res.json(createErrorCanvas("Invalid Run Date", error.message));
+            }
+            if (runDates.length > MAX_RUN_DATES) {
+                return res.json(createErrorCanvas(
+                    "Too Many Run Dates",
+                    `Please enter up to ${MAX_RUN_DATES} run dates at a time.`
+                ));
+            }
 
-                // Make the pricing API call with timeout
-                const response = await Promise.race([
-                    apiService.getPricingEstimates(requestData),
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('API_TIMEOUT')), 8000) // 8 second timeout to be safe
-                    )
-                ]);
+            let publication;
+            try {
+                publication = await getPublication(selectedUuid);
+            } catch (error) {
+                console.error('Error looking up publication:', error.message);
+            }
 
-                console.log('Pricing API response received:', response);
+            const storedData = {
+                publicationUuid: selectedUuid,
+                publicationName: publication ? publication.name : selectedUuid,
+                countryCode: publication ? publication.country_code : null,
+                date: describeRunDates(runDates),
+                runDates
+            };
 
-                // Get publication name from cache
-                let publications = publicationsService.getPublications();
-                if (!publications) {
-                    publications = await publicationsService.fetchPublications();
+            // Catch dates the paper does not print or can no longer accept before quoting them
+            if (publication) {
+                const validation = await calendarService.validateRunDates(publication, runDates);
+                if (validation.issues.length > 0) {
+                    return res.json(createRunDateWarningCanvas(storedData, validation));
                 }
-                const selectedPublication = publications.find(pub => pub.uuid === selectedUuid);
-                const publicationName = selectedPublication ? selectedPublication.name : selectedUuid;
-
-                // Create success canvas with pricing details
-                const successCanvas = {
-                    canvas: {
-                        content: {
-                            components: [
-                                {
-                                    "type": "text",
-                                    "text": "*Paper Details:*",
-                                    "style": "header",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `- ${publicationName}`,
-                                    "style": "paragraph",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `- Publish Date: ${body.input_values.date}`,
-                                    "style": "paragraph"
-                                },
-                                {
-                                    "type": "spacer",
-                                    "size": "s"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": "*Pricing Details:*",
-                                    "style": "header",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `*Short (~60 Words)*`,
-                                    "style": "muted",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `$${response[0].total_price}`,
-                                    "style": "paragraph"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `*Medium (~250 Words)*`,
-                                    "style": "muted",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `$${response[1].total_price}`,
-                                    "style": "paragraph"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `*Long (425 Words)*`,
-                                    "style": "muted",
-                                    "bottom_margin": "none"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": `$${response[2].total_price}`,
-                                    "style": "paragraph"
-                                },
-                                {
-                                    "type": "spacer",
-                                    "size": "s"
-                                },
-                                {
-                                    "type": "button",
-                                    "id": "back-to-home",
-                                    "label": "Look Up Other Newspaper",
-                                    "style": "secondary",
-                                    "action": {
-                                        "type": "submit"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
-
-                return res.json(successCanvas);
-
-            } catch (error) {
-                console.error('Error making pricing API call:', error.message);
-
-                // Check if it's a timeout error
-                const isTimeout = error.message === 'API_TIMEOUT' || error.status === 500;
-                const errorTitle = isTimeout ?
-                    "Pricing Request Timed Out" :
-                    "Failed to get pricing estimates";
-                const errorMessage = isTimeout ?
-                    "Please consult ObitPortal for pricing this newspaper. API pricing estimates for this specific newspaper are not available." :
-                    (error.response?.data?.message || error.message);
-
-                // Return error canvas
-                const apiErrorCanvas = {
-                    canvas: {
-                        content: {
-                            components: [
-                                {
-                                    "type": "image",
-                                    "url": `${process.env.BASE_URL}/icons/cross.png`,
-                                    "width": 40,
-                                    "height": 40,
-                                    "align": "center"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": errorTitle,
-                                    "align": "center",
-                                    "style": "header"
-                                },
-                                {
-                                    "type": "text",
-                                    "text": errorMessage,
-                                    "align": "center",
-                                    "style": "muted"
-                                },
-                                {
-                                    "type": "button",
-                                    "id": "back-to-home",
-                                    "label": "Back to Home",
-                                    "style": "primary",
-                                    "action": {
-                                        "type": "submit"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
-
-                return res.json(apiErrorCanvas);
             }
+
+            return res.json(await createPackageStepCanvas(storedData));
         }
         else {
             // throw error with a done icon
@@ -417,6 +2120,294 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
         }
     }
 
+    else if (body.component_id && body.component_id.startsWith('rundate_')) {
+        const { replaceDate, ...storedData } = getStoredData(body);
+        if (!hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        const suggestedDate = body.component_id.replace('rundate_', '');
+
+        // Swap the problem date for the suggested one and check the schedule again
+        const runDates = [...new Set(storedData.runDates.map(date => (date === replaceDate ? suggestedDate : date)))].sort();
+        const updatedData = {
+            ...storedData,
+            runDates,
+            date: describeRunDates(runDates)
+        };
+
+        try {
+            const publication = await getPublication(updatedData.publicationUuid);
+            if (publication) {
+                const validation = await calendarService.validateRunDates(publication, runDates);
+                if (validation.issues.length > 0) {
+                    return res.json(createRunDateWarningCanvas(updatedData, validation));
+                }
+            }
+        } catch (error) {
+            console.error('Error looking up publication:', error.message);
+        }
+
+        return res.json(await createPackageStepCanvas(updatedData));
+    }
+    else if (body.component_id === 'confirm-run-dates') {
+        const { replaceDate, ...storedData } = getStoredData(body);
+        if (!hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        console.log('Agent kept run dates despite calendar warning:', storedData.runDates);
+        return res.json(await createPackageStepCanvas(storedData));
+    }
+    else if (body.component_id && body.component_id.startsWith('package_')) {
+        const storedData = getStoredData(body);
+        const packageUuid = body.component_id.replace('package_', '');
+        const selectedPackage = (storedData.packages || []).find(pkg => pkg.uuid === packageUuid);
+        if (!selectedPackage) {
+            return res.json(initialCanvas);
+        }
+
+        console.log('Selected package:', packageUuid);
+        return res.json(createObituaryDetailsCanvas({ ...storedData, package: selectedPackage }));
+    }
+    else if (body.component_id === 'change-package') {
+        const { spec, package: _selectedPackage, ...storedData } = getStoredData(body);
+        if (!Array.isArray(storedData.packages) || storedData.packages.length === 0) {
+            return res.json(initialCanvas);
+        }
+        return res.json(createPackagePickerCanvas(storedData));
+    }
+    else if (body.component_id === 'submit-custom-pricing') {
+        const storedData = getStoredData(body);
+        if (!storedData.package || !hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        const { spec, error: specError } = parseObituarySpec(body.input_values, storedData.package.upsells);
+        if (specError) {
+            return res.json(createObituaryDetailsCanvas(storedData, { values: body.input_values, error: specError }));
+        }
+
+        return res.json(await runPricingJob({ ...storedData, spec }, () =>
+            priceCustomObituary(storedData, spec, body.input_values.estimator)
+        ));
+    }
+    else if (body.component_id === 'submit-compare-selection') {
+        const selectedUuids = body.input_values['compare-publications'] || [];
+        if (selectedUuids.length < 2 || selectedUuids.length > MAX_COMPARE_PUBLICATIONS) {
+            return res.json(createErrorCanvas(
+                "Select Newspapers to Compare",
+                `Please select between 2 and ${MAX_COMPARE_PUBLICATIONS} newspapers.`
+            ));
+        }
+        if (!body.input_values.date) {
+            return res.json(createErrorCanvas(
+                "Missing Date",
+                "Please enter the date before comparing newspapers"
+            ));
+        }
+
+        let runDates;
+        try {
+            runDates = dateParserService.parseRunDates(body.input_values.date);
+        } catch (error) {
+            return res.json(createErrorCanvas("Invalid Run Date", error.message));
+        }
+        if (runDates.length > MAX_RUN_DATES) {
+            return res.json(createErrorCanvas(
+                "Too Many Run Dates",
+                `Please enter up to ${MAX_RUN_DATES} run dates at a time.`
+            ));
+        }
+
+        const comparePublications = [];
+        for (const uuid of selectedUuids) {
+            let publication;
+            try {
+                publication = await getPublication(uuid);
+            } catch (error) {
+                console.error('Error looking up publication:', error.message);
+            }
+            comparePublications.push({
+                uuid,
+                name: publication ? publication.name : uuid,
+                countryCode: publication ? publication.country_code : null
+            });
+        }
+
+        return res.json(createObituaryDetailsCanvas({
+            publicationName: `${comparePublications.length} newspapers`,
+            date: describeRunDates(runDates),
+            runDates,
+            comparePublications
+        }));
+    }
+    else if (body.component_id === 'submit-compare-pricing') {
+        const storedData = getStoredData(body);
+        if (!Array.isArray(storedData.comparePublications) || !hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        const { spec, error: specError } = parseObituarySpec(body.input_values);
+        if (specError) {
+            return res.json(createObituaryDetailsCanvas(storedData, { values: body.input_values, error: specError }));
+        }
+
+        return res.json(await runPricingJob({ ...storedData, spec }, async () => {
+            try {
+                console.log('Comparing prices for:', storedData.comparePublications.map(pub => pub.uuid), 'Dates:', storedData.runDates);
+
+                const { choice, estimator } = parseEstimatorChoice(body.input_values);
+                const comparison = await pricingService.comparePublications({
+                    publications: storedData.comparePublications,
+                    runDates: storedData.runDates,
+                    spec,
+                    estimator
+                });
+
+                if (comparison.every(entry => entry.error)) {
+                    return createPricingErrorCanvas(comparison[0].error);
+                }
+
+                comparison.filter(entry => !entry.error).forEach(entry => {
+                    recordPricingHistory({
+                        publicationUuid: entry.publication.uuid,
+                        countryCode: entry.publication.countryCode,
+                        packageUuid: entry.package.uuid,
+                        runDates: storedData.runDates,
+                        results: [entry]
+                    });
+                });
+
+                return createComparisonCanvas({ ...storedData, spec, estimatorChoice: choice }, comparison);
+
+            } catch (error) {
+                console.error('Error comparing prices:', error.message);
+                return createPricingErrorCanvas(error);
+            }
+        }));
+    }
+    else if (body.component_id === 'submit-cheapest-date') {
+        const storedData = getStoredData(body);
+        if (!storedData.package || !hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        const { spec, error: specError } = parseObituarySpec(body.input_values, storedData.package.upsells);
+        if (specError) {
+            return res.json(createObituaryDetailsCanvas(storedData, { values: body.input_values, error: specError }));
+        }
+
+        return res.json(await runPricingJob({ ...storedData, spec }, async () => {
+            try {
+                const publication = await getPublication(storedData.publicationUuid);
+                if (!publication) {
+                    throw new Error(`Publication ${storedData.publicationUuid} is not in the catalog`);
+                }
+
+                const runDates = await calendarService.getRunDatesForPublication(publication, {
+                    limit: CHEAPEST_DATE_WINDOW_DAYS,
+                    days: CHEAPEST_DATE_WINDOW_DAYS,
+                    includeClosed: true
+                });
+                const openDates = runDates.filter(dateInfo => dateInfo.deadlineOpen).map(dateInfo => dateInfo.runDate.toISODate());
+                console.log('Finding cheapest run date for UUID:', storedData.publicationUuid, 'Open dates:', openDates);
+
+                const { choice, estimator } = parseEstimatorChoice(body.input_values);
+                const prices = openDates.length > 0 ? await pricingService.priceEachRunDate({
+                    publicationUuid: storedData.publicationUuid,
+                    packageUuid: storedData.package.uuid,
+                    runDates: openDates,
+                    spec,
+                    estimator
+                }) : [];
+
+                prices.forEach(price => {
+                    recordPricingHistory({
+                        publicationUuid: storedData.publicationUuid,
+                        countryCode: storedData.countryCode,
+                        packageUuid: storedData.package.uuid,
+                        runDates: [price.date],
+                        results: [{ ...price, spec }]
+                    });
+                });
+
+                return createCheapestDateCanvas({ ...storedData, spec, estimatorChoice: choice }, runDates, prices);
+
+            } catch (error) {
+                console.error('Error finding cheapest run date:', error.message);
+                return createPricingErrorCanvas(error);
+            }
+        }));
+    }
+    else if (body.component_id === 'create-quote') {
+        const storedData = getStoredData(body);
+        if (!storedData.pricedItems) {
+            return res.json(initialCanvas);
+        }
+
+        try {
+            const quote = await quoteService.createQuote(createQuoteData(storedData, body));
+            return res.json(createQuoteCanvas(storedData, quote));
+        } catch (error) {
+            console.error('Error creating quote:', error.message);
+            return res.json(createErrorCanvas("Failed to Create Quote", error.message));
+        }
+    }
+    else if (body.component_id === 'reprice-without-cache') {
+        const { spec, pricedItems, pricingOptions, ...storedData } = getStoredData(body);
+        if (!pricingOptions || !pricingOptions.action || !storedData.package) {
+            return res.json(initialCanvas);
+        }
+
+        console.log('Re-pricing without cache for UUID:', storedData.publicationUuid);
+        return res.json(await runPricingJob({ ...storedData, spec }, async () => {
+            const refreshedData = await refreshStoredPackage(storedData);
+            return pricingOptions.action === 'custom' ?
+                priceCustomObituary(refreshedData, spec, refreshedData.estimatorChoice, { bypassCache: true }) :
+                priceStandardSizes(refreshedData, refreshedData.estimatorChoice, { bypassCache: true });
+        }));
+    }
+    else if (body.component_id === 'refresh-pricing') {
+        const { pricingJobId, ...storedData } = getStoredData(body);
+        return res.json(await createPricingJobCanvas(storedData, pricingJobId));
+    }
+    else if (body.component_id && body.component_id.startsWith('breakdown_')) {
+        const storedData = getStoredData(body);
+        const item = (storedData.pricedItems || [])[Number(body.component_id.replace('breakdown_', ''))];
+        if (!item) {
+            return res.json(initialCanvas);
+        }
+        return res.json(createBreakdownCanvas(storedData, item));
+    }
+    else if (body.component_id === 'back-to-prices') {
+        const { pricedItems, pricingOptions, ...storedData } = getStoredData(body);
+        if (!pricedItems) {
+            return res.json(initialCanvas);
+        }
+        return res.json(createPricingResultCanvas(storedData, pricedItems, pricingOptions));
+    }
+    else if (body.component_id === 'edit-obituary-details') {
+        const { spec, pricedItems, pricingOptions, ...storedData } = getStoredData(body);
+        if (!storedData.package && !Array.isArray(storedData.comparePublications)) {
+            return res.json(initialCanvas);
+        }
+        const values = spec ? {
+            wordCount: spec.text ? '' : String(spec.wordCount),
+            draftText: spec.text || '',
+            photos: String(spec.photos),
+            emblem: spec.emblem ? 'emblem-yes' : 'emblem-no',
+            columns: String(spec.columns),
+            depth: String(spec.depth),
+            upsells: spec.upsells || []
+        } : {};
+        return res.json(createObituaryDetailsCanvas(storedData, { values }));
+    }
+    else if (body.component_id === 'submit-standard-pricing') {
+        const storedData = getStoredData(body);
+        if (!storedData.package || !hasRunDates(storedData)) {
+            return res.json(initialCanvas);
+        }
+        return res.json(await runPricingJob(storedData, () =>
+            priceStandardSizes(storedData, body.input_values.estimator)
+        ));
+    }
+
     // Default canvas for other submissions
     const canvasWithResults = {
         canvas: {
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const publicationsService = require('../services/publicationsService');
+
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+
+/**
+ * Encode where the next page starts; cursors are opaque to clients so paging can change later
+ * @param {number} offset - Index of the first publication of the next page
+ * @returns {string} Cursor
+ */
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {number|null} Offset, or null when the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read a comma-separated list parameter
+ * @param {string} value - Query parameter value
+ * @returns {Array<string>} Non-empty, trimmed values
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Keep only the requested fields of a publication; the uuid is always kept
+ * @param {Object} publication - Publication from the catalog
+ * @param {Array<string>} fields - Fields to keep; every field when empty
+ * @returns {Object} Publication with the selected fields
+ */
+const selectFields = (publication, fields) => {
+  if (fields.length === 0) {
+    return publication;
+  }
+  return Object.fromEntries(['uuid', ...fields]
+    .filter(field => field in publication)
+    .map(field => [field, publication[field]]));
+};
+
+/**
+ * Read the filters, paging and field selection of the publications list
+ * @param {Object} query - Express query parameters
+ * @returns {Object} { filter, q, types, publisher, limit, offset, fields } when valid, { error } otherwise
+ */
+const parsePublicationsQuery = (query) => {
+  const filter = publicationsService.normalizeFilter({
+    countryCode: query.country,
+    regionCode: query.region
+  });
+  if ((filter.countryCode && !/^[A-Z]{2}$/.test(filter.countryCode)) ||
+    (filter.regionCode && !/^[A-Z0-9]{1,3}$/.test(filter.regionCode))) {
+    return { error: '"country" must be a two-letter country code and "region" a region code, e.g. ?country=CA&region=ON' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    return { error: `"limit" must be a whole number from 1 to ${MAX_PAGE_LIMIT}` };
+  }
+
+  const offset = query.cursor ? decodeCursor(query.cursor) : 0;
+  if (offset === null) {
+    return { error: '"cursor" must be the nextCursor of a previous page' };
+  }
+
+  return {
+    filter,
+    q: String(query.q || '').trim(),
+    types: parseList(query.type),
+    publisher: String(query.publisher || '').trim(),
+    limit,
+    offset,
+    fields: parseList(query.fields)
+  };
+};
+
+// Publications endpoint: search with ?q, filter with ?country, ?region, ?type and ?publisher,
+// page with ?limit and ?cursor, and pick fields with ?fields=uuid,name
+router.get('/', async (req, res) => {
+  const { error, filter, q, types, publisher, limit, offset, fields } = parsePublicationsQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  try {
+    const publications = await publicationsService.findPublications({ filter, q, types, publisher });
+    const page = publications.slice(offset, offset + limit);
+    res.json({
+      success: true,
+      filter,
+      total: publications.length,
+      count: page.length,
+      nextCursor: offset + limit < publications.length ? encodeCursor(offset + limit) : null,
+      data: page.map(pub => selectFields(pub, fields))
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Which publication overrides are loaded and whether each one applies to the catalog
+router.get('/overrides', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await publicationsService.getOverridesReport()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-read the overrides file now instead of waiting for the next catalog lookup to notice the change
+router.post('/overrides/reload', async (req, res) => {
+  try {
+    const report = await publicationsService.reloadOverrides();
+    res.status(report.error ? 422 : 200).json({
+      success: !report.error,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// One publication from the whole catalog, with ?fields=uuid,name to pick fields
+router.get('/:uuid', async (req, res) => {
+  try {
+    const publication = await publicationsService.getPublication(req.params.uuid);
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        error: `Publication ${req.params.uuid} not found`
+      });
+    }
+    res.json({
+      success: true,
+      data: selectFields(publication, parseList(req.query.fields))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
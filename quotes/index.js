@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { DateTime } = require('luxon');
+const quoteService = require('../services/quoteService');
+const currencyService = require('../services/currencyService');
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Format a YYYY-MM-DD run date for the quote page
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} e.g. "Sunday, October 25, 2026"
+ */
+const formatQuoteDate = (date) => {
+  const parsed = DateTime.fromISO(date);
+  return parsed.isValid ? parsed.toFormat('cccc, LLLL d, yyyy') : date;
+};
+
+/**
+ * Render a saved quote as a printable HTML page
+ * @param {Object} quote - Quote from quoteService
+ * @returns {string} HTML document
+ */
+const renderQuoteHtml = (quote) => {
+  const createdAt = DateTime.fromISO(quote.createdAt).toFormat('LLLL d, yyyy h:mm a ZZZZ');
+  const formatPrice = (amount, options) => escapeHtml(currencyService.formatPrice(amount, quote.publication.countryCode, options));
+
+  const itemRows = quote.items.map(item => {
+    const details = [];
+    if (item.perDate && item.perDate.length > 0) {
+      details.push(item.perDate.map(entry => `${escapeHtml(formatQuoteDate(entry.date))}: ${formatPrice(entry.total)}`).join('<br>'));
+    }
+    if (item.upsells && item.upsells.length > 0) {
+      details.push(`Base obituary: ${formatPrice(item.baseTotal)}`);
+      item.upsells.forEach(upsell => {
+        details.push(`${escapeHtml(upsell.name)}: ${formatPrice(upsell.contribution, { signed: true })}`);
+      });
+    }
+
+    return `
+        <tr>
+          <td>
+            <strong>${escapeHtml(item.label)}</strong>
+            ${details.length > 0 ? `<div class="details">${details.join('<br>')}</div>` : ''}
+          </td>
+          <td class="price">${formatPrice(item.total)}</td>
+        </tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Obituary Quote ${escapeHtml(quote.id)}</title>
+  <style>
+    body { font-family: Georgia, serif; color: #222; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    .muted { color: #666; font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+    th, td { text-align: left; padding: 10px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    .price { text-align: right; white-space: nowrap; }
+    .details { color: #666; font-size: 13px; margin-top: 4px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Obituary Price Quote</h1>
+  <div class="muted">Quote ${escapeHtml(quote.id)} &middot; ${escapeHtml(createdAt)}</div>
+
+  <dl>
+    <dt>Newspaper</dt><dd>${escapeHtml(quote.publication.name)}</dd>
+    <dt>Package</dt><dd>${escapeHtml(quote.package.name || quote.package.uuid)}</dd>
+    <dt>${quote.runDates.length > 1 ? 'Run Dates' : 'Run Date'}</dt><dd>${quote.runDates.map(date => escapeHtml(formatQuoteDate(date))).join('<br>')}</dd>
+  </dl>
+
+  <table>
+    <thead>
+      <tr><th>Obituary</th><th class="price">${quote.runDates.length > 1 ? 'Price (all run dates)' : 'Price'}</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+
+  <p class="muted">These are estimates based on the details above. The final price is confirmed by the newspaper when the obituary is placed.</p>
+</body>
+</html>`;
+};
+
+// Quote endpoint: /quotes/:id serves the printable page, /quotes/:id.json the quote as families may see it
+router.get('/:id', async (req, res) => {
+  const wantsJson = req.params.id.endsWith('.json');
+  const id = wantsJson ? req.params.id.slice(0, -'.json'.length) : req.params.id;
+
+  try {
+    const quote = await quoteService.getQuote(id);
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: `Quote ${id} not found`
+      });
+    }
+
+    if (wantsJson) {
+      return res.json({
+        success: true,
+        data: quoteService.toPublicQuote(quote)
+      });
+    }
+    res.type('html').send(renderQuoteHtml(quote));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
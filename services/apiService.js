@@ -1,20 +1,65 @@
 const axios = require('axios');
+const dateParserService = require('./dateParserService');
+const pricingCacheService = require('./pricingCacheService');
+const resilienceService = require('./resilienceService');
+const { SERVICES, NotFoundError, toUpstreamError } = require('./errors');
+
+const LOREM_IPSUM = 'Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.';
+const SAMPLE_PHOTO_URI = 'https://s3.us-east-1.amazonaws.com/obituary.datastore/oldman.jpg';
+const SAMPLE_EMBLEM_URI = 'https://s3.us-east-1.amazonaws.com/obituary.datastore/Clipart/Emblems/cross.jpg';
+
+// Publications are fetched a page at a time until the API runs out
+const PUBLICATIONS_PAGE_SIZE = Number(process.env.PUBLICATIONS_PAGE_SIZE) || 4000;
+
+// Stop paging after this many pages, in case the API keeps answering with full pages
+const PUBLICATIONS_MAX_PAGES = Number(process.env.PUBLICATIONS_MAX_PAGES) || 50;
+
+// Give up on an upstream call after this long, so a hung call fails and counts against its circuit breaker
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 30000;
 
 class ApiService {
   constructor() {
     this.domain = process.env.DOMAIN;
     this.apiKey = process.env.API_KEY;
     
+    // Estimators offered by the upstream pricing API, the first one is the default
+    this.estimators = (process.env.PRICING_ESTIMATORS || 'machine-learning,rules-based')
+      .split(',')
+      .map(estimator => estimator.trim())
+      .filter(estimator => estimator !== '');
+    
+    // Catalogs that may be incomplete, by region/country filter, shown on /health
+    this.catalogWarnings = new Map();
+
     if (!this.domain || !this.apiKey) {
       console.warn('Warning: DOMAIN and API_KEY environment variables should be set');
     }
   }
 
   /**
-   * Get the base axios configuration with common headers
+   * Get the estimator used when none is chosen
+   * @returns {string} Default estimator
    */
-  getBaseConfig() {
+  getDefaultEstimator() {
+    return this.estimators[0];
+  }
+
+  /**
+   * Get the estimator to fall back to when the given one is unavailable
+   * @param {string} estimator - Estimator that failed
+   * @returns {string|null} Another configured estimator, or null if there is none
+   */
+  getFallbackEstimator(estimator) {
+    return this.estimators.find(name => name !== estimator) || null;
+  }
+
+  /**
+   * Get the base axios configuration with common headers and the upstream timeout
+   * @param {number} timeoutMs - How long the call may take (default: UPSTREAM_TIMEOUT_MS)
+   */
+  getBaseConfig(timeoutMs = UPSTREAM_TIMEOUT_MS) {
     return {
+      timeout: timeoutMs,
       headers: {
         'x-api-key': this.apiKey,
         'Content-Type': 'application/json'
@@ -23,48 +68,131 @@ class ApiService {
   }
 
   /**
-   * Fetch publications by region
-   * @param {string} regionCode - Region code filter
-   * @param {string} countryCode - Country code filter (default: 'US')
-   * @param {number} size - Maximum number of results (default: 4000)
+   * Make an API call through the endpoint's circuit breaker, retrying transient failures
+   * @param {string} endpoint - Endpoint name for the circuit breaker, e.g. "pricing-api:packages"
+   * @param {Function} sendRequest - Async function making the axios call
+   * @param {Object} options - Options for resilienceService.call, e.g. { retries: 0 }
+   * @returns {Promise<Object>} The axios response
+   */
+  request(endpoint, sendRequest, options = {}) {
+    return resilienceService.call(endpoint, async () => {
+      try {
+        return await sendRequest();
+      } catch (error) {
+        throw toUpstreamError(error, { service: SERVICES.PRICING_API });
+      }
+    }, { service: SERVICES.PRICING_API, ...options });
+  }
+
+  /**
+   * Fetch publications by region, paging through the API until it is exhausted
+   * A page shorter than the page size is the last one. If the API repeats a page instead
+   * (it does not support paging) or the page limit is reached, the catalog may be missing
+   * publications, so a warning is logged and kept for /health
+   * @param {string} regionCode - Region code filter (default: every region)
+   * @param {string} countryCode - Country code filter, e.g. 'US' or 'CA' (default: every country)
+   * @param {number} size - Publications per page (default: PUBLICATIONS_PAGE_SIZE, 4000)
    * @returns {Promise<Array>} List of publications
+   * @throws {UpstreamError} Classified by type when the API call fails (see services/errors.js)
    */
-  async fetchPublications(regionCode = '', countryCode = 'US', size = 4000) {
+  async fetchPublications(regionCode = '', countryCode = '', size = PUBLICATIONS_PAGE_SIZE) {
+    const warningKey = `${countryCode}:${regionCode}`;
+
     try {
-      console.log('ApiService: Fetching publications from API...');
+      console.log('ApiService: Fetching publications from API...', { regionCode, countryCode });
       
       if (!this.domain || !this.apiKey) {
         throw new Error('DOMAIN and API_KEY must be set in environment variables');
       }
 
       const url = `${this.domain}/api/publications/by-region`;
-      const response = await axios.get(url, {
-        ...this.getBaseConfig(),
-        params: {
-          region_code: regionCode,
-          size: size
+      const publications = [];
+      const seenUuids = new Set();
+      let warning = null;
+
+      for (let page = 0; ; page++) {
+        if (page >= PUBLICATIONS_MAX_PAGES) {
+          warning = `Stopped after ${PUBLICATIONS_MAX_PAGES} full pages of ${size}; there may be more publications`;
+          break;
         }
-      });
 
-      console.log(`ApiService: Successfully fetched ${response.data.length} publications`);
-      return response.data;
+        const response = await this.request('pricing-api:publications', () => axios.get(url, {
+          ...this.getBaseConfig(),
+          params: {
+            region_code: regionCode,
+            // Without a country_code the API returns publications from every country
+            ...(countryCode ? { country_code: countryCode } : {}),
+            page: page,
+            size: size
+          }
+        }));
+
+        const pagePublications = response.data || [];
+        const newPublications = pagePublications.filter(pub => !seenUuids.has(pub.uuid));
+        newPublications.forEach(pub => seenUuids.add(pub.uuid));
+        publications.push(...newPublications);
+        console.log(`ApiService: Fetched page ${page + 1} with ${pagePublications.length} publications`);
+
+        if (pagePublications.length < size) {
+          break;
+        }
+        if (newPublications.length === 0) {
+          warning = `The API repeated the previous page instead of paging; publications past the first ${publications.length} may be missing`;
+          break;
+        }
+      }
+
+      if (warning) {
+        console.warn(`ApiService: Publications catalog may be incomplete (${publications.length} fetched): ${warning}`);
+        this.catalogWarnings.set(warningKey, {
+          regionCode,
+          countryCode,
+          count: publications.length,
+          pageSize: size,
+          message: warning,
+          at: new Date().toISOString()
+        });
+      } else {
+        this.catalogWarnings.delete(warningKey);
+      }
+
+      console.log(`ApiService: Successfully fetched ${publications.length} publications`);
+      return publications;
       
     } catch (error) {
       console.error('ApiService: Error fetching publications:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+      if (error.status) {
+        console.error('Response status:', error.status);
+        console.error('Response data:', error.data);
       }
-      throw error;
+      throw toUpstreamError(error, { service: SERVICES.PRICING_API });
     }
   }
 
+  /**
+   * Get the warnings about publication catalogs that may be incomplete, for /health
+   * @returns {Array<Object>} [{ regionCode, countryCode, count, pageSize, message, at }]
+   */
+  getCatalogWarnings() {
+    return Array.from(this.catalogWarnings.values());
+  }
+
   /**
    * Fetch packages by publication UUID
    * @param {string} publicationUuid - Publication UUID
-   * @returns {Promise<Object>} Package information
+   * @param {Object} options - Cache options
+   * @param {boolean} options.bypassCache - Fetch from the API even when the packages are cached
+   * @returns {Promise<Array>} Every package offered by the publication
+   * @throws {UpstreamError} Classified by type when the API call fails (see services/errors.js)
    */
-  async fetchPackagesByPublication(publicationUuid) {
+  async fetchPackagesByPublication(publicationUuid, { bypassCache = false } = {}) {
+    const cacheKey = pricingCacheService.getPackagesKey(publicationUuid);
+    const cachedPackages = bypassCache ? undefined : pricingCacheService.get(cacheKey);
+    if (cachedPackages) {
+      console.log('ApiService: Returning cached packages for publication:', publicationUuid);
+      return cachedPackages;
+    }
+
     try {
       console.log('ApiService: Fetching packages for publication:', publicationUuid);
       
@@ -73,155 +201,220 @@ class ApiService {
       }
 
       const url = `${this.domain}/api/packages/by-publication/${publicationUuid}`;
-      const response = await axios.get(url, this.getBaseConfig());
+      const response = await this.request('pricing-api:packages', () => axios.get(url, this.getBaseConfig()));
 
-      console.log(`ApiService: Successfully fetched ${response.data.length} packages`);
-      
-      // Find the first package with type "OBITUARY", or return the first one if none found
-      const obituaryPackage = response.data.find(pkg => pkg.type === 'OBITUARY') || response.data[0];
-      
-      if (!obituaryPackage) {
-        throw new Error('No packages found for publication');
+      if (!response.data || response.data.length === 0) {
+        throw new NotFoundError('No packages found for publication', { service: SERVICES.PRICING_API });
       }
-      
-      console.log('ApiService: Selected package:', obituaryPackage.uuid);
-      return obituaryPackage;
+
+      console.log(`ApiService: Successfully fetched ${response.data.length} packages`);
+
+      pricingCacheService.set(cacheKey, response.data);
+      return response.data;
       
     } catch (error) {
       console.error('ApiService: Error fetching packages:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+      if (error.status) {
+        console.error('Response status:', error.status);
+        console.error('Response data:', error.data);
       }
-      throw error;
+      throw toUpstreamError(error, { service: SERVICES.PRICING_API });
     }
   }
 
+  /**
+   * Pick the package to price when the agent has not chosen one
+   * @param {Array} packages - Packages returned by fetchPackagesByPublication
+   * @returns {Object} The first package with type "OBITUARY", or the first package if none found
+   */
+  selectDefaultPackage(packages) {
+    return packages.find(pkg => pkg.type === 'OBITUARY') || packages[0];
+  }
+
   /**
    * Get pricing estimates for obituaries
+   * Obituaries priced recently are answered from the cache; only the rest are sent upstream
    * @param {Array} obituaryData - Array of obituary objects for pricing
-   * @returns {Promise<Array>} Pricing estimates
+   * @param {string} estimator - Upstream estimator to use (default: first configured estimator)
+   * @param {Object} options - Call options
+   * @param {boolean} options.bypassCache - Price every obituary upstream even when it is cached
+   * @param {number} options.timeoutMs - How long the upstream call may take (default: UPSTREAM_TIMEOUT_MS)
+   * @returns {Promise<Array>} Pricing estimates, in the same order as obituaryData
+   * @throws {UpstreamError} Classified by type when the API call fails (see services/errors.js)
    */
-  async getPricingEstimates(obituaryData) {
+  async getPricingEstimates(obituaryData, estimator = this.getDefaultEstimator(), { bypassCache = false, timeoutMs = UPSTREAM_TIMEOUT_MS } = {}) {
+    const cacheKeys = obituaryData.map(obituary => pricingCacheService.getEstimateKey(estimator, obituary));
+    const estimates = cacheKeys.map(key => (bypassCache ? undefined : pricingCacheService.get(key)));
+    const missingIndexes = [];
+    estimates.forEach((estimate, index) => {
+      if (estimate === undefined) {
+        missingIndexes.push(index);
+      }
+    });
+
+    if (missingIndexes.length === 0) {
+      console.log(`ApiService: Returning ${estimates.length} cached ${estimator} estimates`);
+      return estimates;
+    }
+
     try {
-      console.log('ApiService: Making pricing API call...');
+      console.log(`ApiService: Making pricing API call with ${estimator} estimator for ${missingIndexes.length} of ${obituaryData.length} obituaries...`);
       
       if (!this.domain || !this.apiKey) {
         throw new Error('DOMAIN and API_KEY must be set in environment variables');
       }
 
-      const url = `${this.domain}/api/price/estimate-all?estimator=machine-learning`;
-      const response = await axios.post(url, obituaryData, this.getBaseConfig());
+      const url = `${this.domain}/api/price/estimate-all`;
+      // Each estimator gets its own breaker so one being down does not block the fallback to the other.
+      // Estimates are a POST and are not retried here; pricingService falls back to the other estimator instead
+      const response = await this.request(`pricing-api:estimate-all:${estimator}`, () => axios.post(url, missingIndexes.map(index => obituaryData[index]), {
+        ...this.getBaseConfig(timeoutMs),
+        params: {
+          estimator: estimator
+        }
+      }), { retries: 0 });
 
       console.log(`ApiService: Successfully received ${response.data.length} pricing estimates`);
-      return response.data;
+
+      // Estimates come back in the same order the obituaries were sent
+      missingIndexes.forEach((obituaryIndex, responseIndex) => {
+        estimates[obituaryIndex] = response.data[responseIndex];
+        pricingCacheService.set(cacheKeys[obituaryIndex], response.data[responseIndex]);
+      });
+      return estimates;
       
     } catch (error) {
       console.error('ApiService: Error getting pricing estimates:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+      if (error.status) {
+        console.error('Response status:', error.status);
+        console.error('Response data:', error.data);
       }
-      throw error;
+      throw toUpstreamError(error, { service: SERVICES.PRICING_API });
     }
   }
 
   /**
-   * Create standard obituary request data for pricing
+   * Create obituary request data for every pricing tier
    * @param {string} selectedUuid - Publication UUID
-   * @param {string} formattedDate - Date in YYYY-MM-DD format
+   * @param {Array<string>} runDates - Run dates in YYYY-MM-DD format
    * @param {string} packageUuid - Package UUID from package API
-   * @returns {Array} Array of obituary objects
+   * @param {Array<Object>} tiers - Pricing tiers from the tiers file
+   * @returns {Array} Array of obituary objects, one per tier and in the same order
    */
-  createPricingRequestData(selectedUuid, formattedDate, packageUuid) {
-    return [
-      {
-        "first_name": "John",
-        "last_name": "Small",
-        "images": [],
-        "obituary": "Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.",
-        "package_uuid": packageUuid,
-        "publication_uuids": [selectedUuid],
-        "upsells": [],
-        "print_object": {
-          "template_name": "foobar",
-          "depth": 1,
-          "columns": 1,
-          "schedule": [
-            {
-              "date": formattedDate,
-              "publication_uuid": selectedUuid
-            }
-          ]
-        }
-      },
-      {
-        "first_name": "John",
-        "last_name": "Medium",
-        "obituary": "Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.",
-        "package_uuid": packageUuid,
-        "publication_uuids": [selectedUuid],
-        "upsells": [],
-        "print_object": {
-          "template_name": "foobar",
-          "depth": 1,
-          "columns": 1,
-          "schedule": [
-            {
-              "date": formattedDate,
-              "publication_uuid": selectedUuid
-            }
-          ]
-        }
-      },
-      {
-        "first_name": "John",
-        "last_name": "Large",
-        "images": [
-          {
-            "name": "headshot",
-            "uri": "https://s3.us-east-1.amazonaws.com/obituary.datastore/oldman.jpg"
-          }
-        ],
-        "emblems": [
-          {
-            "name": "cross",
-            "uri": "https://s3.us-east-1.amazonaws.com/obituary.datastore/Clipart/Emblems/cross.jpg"
-          }
-        ],
-        "obituary": "Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.  Lorem ipsum dolor sit amet consectetur adipiscing elit. Quisque faucibus ex sapien vitae pellentesque sem placerat. In id cursus mi pretium tellus duis convallis. Tempus leo eu aenean sed diam urna tempor. Pulvinar vivamus fringilla lacus nec metus bibendum egestas. Iaculis massa nisl malesuada lacinia integer nunc posuere. Ut hendrerit semper vel class aptent taciti sociosqu. Ad litora torquent per conubia nostra inceptos himenaeos.",
-        "package_uuid": packageUuid,
-        "publication_uuids": [selectedUuid],
-        "upsells": [],
-        "print_object": {
-          "template_name": "foobar",
-          "depth": 1,
-          "columns": 1,
-          "schedule": [
-            {
-              "date": formattedDate,
-              "publication_uuid": selectedUuid
-            }
-          ]
-        }
+  createPricingRequestData(selectedUuid, runDates, packageUuid, tiers) {
+    return tiers.map(tier =>
+      this.createObituaryRequestData(selectedUuid, runDates, packageUuid, tier, tier.name)
+    );
+  }
+
+  /**
+   * Build filler obituary text with the requested number of words
+   * @param {number} wordCount - Number of words to generate
+   * @returns {string} Filler obituary text
+   */
+  createObituaryText(wordCount) {
+    const words = LOREM_IPSUM.split(' ');
+    const text = [];
+    for (let i = 0; i < wordCount; i++) {
+      text.push(words[i % words.length]);
+    }
+    return text.join(' ');
+  }
+
+  /**
+   * Count the words and non-empty lines in an obituary draft
+   * @param {string} text - Obituary text
+   * @returns {Object} { words, lines }
+   */
+  countObituaryText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      return { words: 0, lines: 0 };
+    }
+    return {
+      words: trimmed.split(/\s+/).length,
+      lines: trimmed.split(/\r?\n/).filter(line => line.trim() !== '').length
+    };
+  }
+
+  /**
+   * Create a single obituary object for an obituary spec
+   * @param {string} selectedUuid - Publication UUID
+   * @param {Array<string>} runDates - Run dates in YYYY-MM-DD format, one schedule entry each
+   * @param {string} packageUuid - Package UUID from package API
+   * @param {Object} spec - Obituary spec
+   * @param {number} spec.wordCount - Number of words in the obituary text
+   * @param {string} [spec.text] - Draft obituary text, priced instead of filler text when set
+   * @param {number} spec.photos - Number of photos
+   * @param {boolean} spec.emblem - Whether to include an emblem
+   * @param {number} spec.columns - Number of columns in the print layout
+   * @param {number} spec.depth - Depth of the print layout
+   * @param {Array<string>} [spec.upsells] - UUIDs of the package upsells to add
+   * @param {string} lastName - Last name used to tell the obituaries apart upstream
+   * @returns {Object} Obituary object
+   */
+  createObituaryRequestData(selectedUuid, runDates, packageUuid, spec, lastName = 'Custom') {
+    const images = [];
+    for (let i = 0; i < spec.photos; i++) {
+      images.push({
+        "name": i === 0 ? 'headshot' : `photo-${i + 1}`,
+        "uri": SAMPLE_PHOTO_URI
+      });
+    }
+
+    const obituary = {
+      "first_name": "John",
+      "last_name": lastName,
+      "images": images,
+      "obituary": spec.text || this.createObituaryText(spec.wordCount),
+      "package_uuid": packageUuid,
+      "publication_uuids": [selectedUuid],
+      "upsells": (spec.upsells || []).map(uuid => ({
+        "uuid": uuid
+      })),
+      "print_object": {
+        "template_name": "foobar",
+        "depth": spec.depth,
+        "columns": spec.columns,
+        "schedule": runDates.map(date => ({
+          "date": date,
+          "publication_uuid": selectedUuid
+        }))
       }
-    ];
+    };
+
+    if (spec.emblem) {
+      obituary.emblems = [
+        {
+          "name": "cross",
+          "uri": SAMPLE_EMBLEM_URI
+        }
+      ];
+    }
+
+    return obituary;
+  }
+
+  /**
+   * Create obituary request data for a custom obituary spec
+   * @param {string} selectedUuid - Publication UUID
+   * @param {Array<string>} runDates - Run dates in YYYY-MM-DD format
+   * @param {string} packageUuid - Package UUID from package API
+   * @param {Object} spec - Obituary spec, see createObituaryRequestData
+   * @returns {Array} Array containing a single obituary object
+   */
+  createCustomPricingRequestData(selectedUuid, runDates, packageUuid, spec) {
+    return [this.createObituaryRequestData(selectedUuid, runDates, packageUuid, spec)];
   }
 
   /**
-   * Format date from MM/DD/YYYY to YYYY-MM-DD
-   * @param {string} inputDate - Date in MM/DD/YYYY or other format
+   * Format a run date typed by an agent as YYYY-MM-DD
+   * @param {string} inputDate - Date in MM/DD/YYYY, YYYY-MM-DD or any format dateParserService accepts
    * @returns {string} Date in YYYY-MM-DD format
+   * @throws {Error} When the date is invalid or in the past
    */
   formatDateForApi(inputDate) {
-    if (inputDate.includes('/')) {
-      // Assume MM/DD/YYYY format
-      const [month, day, year] = inputDate.split('/');
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    } else {
-      // Assume it's already in YYYY-MM-DD format or similar
-      return inputDate;
-    }
+    return dateParserService.parseRunDate(inputDate);
   }
 }
 
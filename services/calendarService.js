@@ -2,6 +2,13 @@ const axios = require('axios');
 const NodeCache = require('node-cache');
 const { DateTime } = require('luxon');
 const path = require('path');
+const resilienceService = require('./resilienceService');
+const dateParserService = require('./dateParserService');
+const { SERVICES, NotFoundError, toUpstreamError } = require('./errors');
+
+// Run dates are checked while the agent waits on the canvas, so the check gives up well before Intercom does;
+// a calendar still downloading is cached when it arrives and used by the next check
+const RUN_DATE_CHECK_TIMEOUT_MS = Number(process.env.RUN_DATE_CHECK_TIMEOUT_MS) || 3000;
 
 class CalendarService {
   constructor() {
@@ -381,18 +388,26 @@ class CalendarService {
    * Fetch and parse ICS file from URL
    * @param {string} icsUrl - URL of the ICS file
    * @returns {Promise<Object>} Object containing parsed events and metadata
+   * @throws {UpstreamError} Classified by type when the download fails (see services/errors.js)
    */
   async fetchAndParseIcs(icsUrl) {
     try {
       console.log('CalendarService: Fetching ICS file from:', icsUrl);
       
-      const response = await axios.get(icsUrl, {
-        headers: {
-          'Accept': 'text/calendar, text/plain, */*',
-          'User-Agent': 'CalendarService/1.0'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+      const response = await resilienceService.call('publisher-calendars', async () => {
+        try {
+          return await axios.get(icsUrl, {
+            headers: {
+              'Accept': 'text/calendar, text/plain, */*',
+              'User-Agent': 'CalendarService/1.0'
+            },
+            timeout: 10000 // 10 second timeout
+          });
+        } catch (error) {
+          // S3 answers 403 rather than 404 for a missing calendar file when listing is not allowed
+          throw toUpstreamError(error, { service: SERVICES.CALENDAR, notFoundStatuses: [403, 404] });
+        }
+      }, { service: SERVICES.CALENDAR });
 
       console.log(`CalendarService: Successfully fetched ICS data (${response.data.length} characters)`);
       
@@ -437,9 +452,8 @@ class CalendarService {
       
     } catch (error) {
       console.error('CalendarService: Error fetching ICS file:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response headers:', error.response.headers);
+      if (error.status) {
+        console.error('Response status:', error.status);
       }
       throw error;
     }
@@ -548,6 +562,189 @@ class CalendarService {
     }
   }
 
+  /**
+   * Build the S3 URL of a publisher's ICS calendar
+   * @param {string} publisherName - Publisher name or its slug
+   * @returns {string} ICS file URL
+   */
+  getIcsUrl(publisherName) {
+    const slug = publisherName.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
+    return `https://s3.amazonaws.com/obituary.datastore/prod/static/calendar/${slug}.ics`;
+  }
+
+  /**
+   * Keep only the events that belong to a publication
+   * @param {Array} events - Parsed calendar events
+   * @param {string} publicationUuid - Publication UUID
+   * @returns {Array} Events for the publication
+   */
+  filterEventsByPublication(events, publicationUuid) {
+    return events.filter(event => {
+      if (!event.originalUid) return false;
+
+      // Match against the first part of the UID, e.g. "5409_Adpay" from "5409_Adpay--69bec25c-98bb-406e-b4eb-5b17e756cfb0"
+      const eventPublicationId = event.originalUid.split('--')[0];
+      return eventPublicationId.includes(publicationUuid);
+    });
+  }
+
+  /**
+   * Expand recurring publication events into upcoming run dates with submission deadlines
+   * @param {Array} events - Parsed calendar events for a single publication
+   * @param {Object} options - Expansion options
+   * @param {number} options.limit - Stop after this many run dates (default: 5)
+   * @param {number} options.days - Only look this many days ahead (default: 365)
+   * @param {boolean} options.includeClosed - Include run dates whose deadline has passed (default: false)
+   * @returns {Array<Object>} Run dates: { runDate, submissionDate, timezone, timezoneAbbr, deadlineOffset, deadlineOpen }
+   */
+  getUpcomingRunDates(events, { limit = 5, days = 365, includeClosed = false } = {}) {
+    const dates = [];
+    if (!events || events.length === 0) {
+      return dates;
+    }
+
+    const eventStartDate = DateTime.fromISO(events[0].start.dateTime).setZone(events[0].start.timeZone);
+    const timezone = events[0].start.timeZone;
+
+    // Collect all recurring days from the events and their deadline offsets
+    const recurringDays = new Set();
+    const dayToDeadlineOffset = new Map();
+
+    events.forEach(event => {
+      if (event.recurrence && event.recurrence[0]) {
+        const bydayMatch = event.recurrence[0].match(/BYDAY=([^;]+)/);
+        if (bydayMatch) {
+          const dayAbbr = bydayMatch[1];
+          recurringDays.add(dayAbbr);
+          // Store the deadline offset for this day (default to 2 if not specified)
+          dayToDeadlineOffset.set(dayAbbr, event.deadlineOffset !== undefined ? event.deadlineOffset : 2);
+        }
+      }
+    });
+
+    console.log('CalendarService: Recurring days found:', Array.from(recurringDays));
+
+    // Map RRULE day abbreviations to day indices (Luxon uses 1=Monday, 7=Sunday)
+    const dayMap = { 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6, 'SU': 7 };
+
+    const now = DateTime.now().setZone(timezone);
+    const lastDate = now.startOf('day').plus({ days });
+
+    // Start from today or event start date, whichever is later
+    let currentDate = DateTime.max(now.startOf('day'), eventStartDate.startOf('day'));
+
+    while (dates.length < limit && currentDate < lastDate) {
+      const dayAbbr = Object.keys(dayMap).find(key => dayMap[key] === currentDate.weekday);
+
+      if (recurringDays.has(dayAbbr)) {
+        // Create the run date at 12:00 PM in the event timezone
+        const runDate = currentDate.set({ hour: 12, minute: 0, second: 0, millisecond: 0 });
+
+        // If offset is 0, submission deadline is the same day as run date
+        const deadlineOffset = dayToDeadlineOffset.get(dayAbbr);
+        const submissionDate = runDate.minus({ days: deadlineOffset });
+        const deadlineOpen = submissionDate > now;
+
+        if (deadlineOpen || includeClosed) {
+          dates.push({
+            runDate,
+            submissionDate,
+            timezone,
+            timezoneAbbr: runDate.offsetNameShort, // EDT or EST depending on the date
+            deadlineOffset,
+            deadlineOpen
+          });
+        }
+      }
+      currentDate = currentDate.plus({ days: 1 });
+    }
+
+    return dates;
+  }
+
+  /**
+   * Load a publication's calendar and expand its upcoming run dates
+   * @param {Object} publication - Publication from the catalog
+   * @param {Object} options - Options for getUpcomingRunDates
+   * @returns {Promise<Array<Object>>} Upcoming run dates
+   */
+  async getRunDatesForPublication(publication, options = {}) {
+    if (!publication.publisher_name) {
+      throw new NotFoundError(`Publication ${publication.uuid} has no publisher calendar`, { service: SERVICES.CALENDAR });
+    }
+
+    const events = await this.retrieveAndParseIcs(this.getIcsUrl(publication.publisher_name));
+    const publicationEvents = this.filterEventsByPublication(events, publication.uuid);
+    console.log(`CalendarService: Found ${publicationEvents.length} events for publication ${publication.uuid}`);
+
+    return this.getUpcomingRunDates(publicationEvents, options);
+  }
+
+  /**
+   * Check requested run dates against a publication's publishing calendar
+   * A calendar that cannot be loaded or has no run dates is reported as unchecked rather than as an error
+   * @param {Object} publication - Publication from the catalog
+   * @param {Array<string>} dates - Requested run dates in YYYY-MM-DD format
+   * @param {Object} options - Validation options
+   * @param {number} options.suggestions - Number of nearest valid run dates to suggest (default: 3)
+   * @param {number} options.timeoutMs - How long to wait for the calendar before skipping the check
+   * @returns {Promise<Object>} { checked, issues: [{ date, reason, submissionDate }], suggestions: [YYYY-MM-DD] }
+   */
+  async validateRunDates(publication, dates, { suggestions = 3, timeoutMs = RUN_DATE_CHECK_TIMEOUT_MS } = {}) {
+    // "Today" in the same timezone the agent's dates were parsed in
+    const zone = dateParserService.zone;
+    const today = DateTime.now().setZone(zone).startOf('day');
+    const lastRequested = DateTime.max(...dates.map(date => DateTime.fromISO(date, { zone })).filter(date => date.isValid), today);
+    const days = Math.min(Math.ceil(lastRequested.diff(today, 'days').days) + 15, 365);
+
+    let runDates;
+    let timer;
+    try {
+      runDates = await Promise.race([
+        this.getRunDatesForPublication(publication, { limit: days, days, includeClosed: true }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Calendar did not load within ${timeoutMs}ms`)), timeoutMs);
+        })
+      ]).finally(() => clearTimeout(timer));
+    } catch (error) {
+      console.error(`CalendarService: Could not validate run dates for ${publication.uuid}:`, error.message);
+      return { checked: false, issues: [], suggestions: [] };
+    }
+
+    if (runDates.length === 0) {
+      console.log(`CalendarService: No run dates in calendar for ${publication.uuid}, skipping validation`);
+      return { checked: false, issues: [], suggestions: [] };
+    }
+
+    const runDatesByDay = new Map(runDates.map(dateInfo => [dateInfo.runDate.toISODate(), dateInfo]));
+    const issues = [];
+
+    dates.forEach(date => {
+      const dateInfo = runDatesByDay.get(date);
+      if (DateTime.fromISO(date, { zone }) < today) {
+        issues.push({ date, reason: 'past' });
+      } else if (!dateInfo) {
+        issues.push({ date, reason: 'not-published' });
+      } else if (!dateInfo.deadlineOpen) {
+        issues.push({ date, reason: 'deadline-passed', submissionDate: dateInfo.submissionDate });
+      }
+    });
+
+    // Suggest the open run dates closest to the first problem date
+    let suggestedDates = [];
+    if (issues.length > 0) {
+      const target = DateTime.fromISO(issues[0].date);
+      suggestedDates = runDates
+        .filter(dateInfo => dateInfo.deadlineOpen && !dates.includes(dateInfo.runDate.toISODate()))
+        .map(dateInfo => dateInfo.runDate.toISODate())
+        .sort((a, b) => Math.abs(DateTime.fromISO(a).diff(target).toMillis()) - Math.abs(DateTime.fromISO(b).diff(target).toMillis()))
+        .slice(0, suggestions)
+        .sort();
+    }
+
+    return { checked: true, issues, suggestions: suggestedDates };
+  }
+
   /**
    * Find events by date range
    * @param {string} icsUrl - URL of the ICS file
@@ -0,0 +1,48 @@
+// Currency and locale for each country we serve papers in; anything else is priced in US dollars
+const CURRENCIES = {
+  US: { currency: 'USD', locale: 'en-US' },
+  CA: { currency: 'CAD', locale: 'en-CA' }
+};
+
+const DEFAULT_COUNTRY_CODE = 'US';
+
+class CurrencyService {
+  /**
+   * Get the currency and locale used for a publication's country
+   * @param {string} countryCode - Publication country_code, e.g. 'US' or 'CA'
+   * @returns {Object} { currency, locale }
+   */
+  getCurrency(countryCode) {
+    return CURRENCIES[String(countryCode || '').toUpperCase()] || CURRENCIES[DEFAULT_COUNTRY_CODE];
+  }
+
+  /**
+   * Format an amount in the currency of a publication's country, always with two decimals
+   * The currency code is appended when it is not USD, e.g. "$1,234.50 CAD"
+   * @param {number|string} amount - Amount to format
+   * @param {string} countryCode - Publication country_code
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.signed - Prefix positive amounts with "+", e.g. for upsell contributions
+   * @returns {string} Formatted amount, or the input as-is when it is not a number
+   */
+  formatPrice(amount, countryCode, { signed = false } = {}) {
+    const value = Number(amount);
+    if (amount === null || amount === undefined || amount === '' || !Number.isFinite(value)) {
+      return String(amount);
+    }
+
+    const { currency, locale } = this.getCurrency(countryCode);
+    const formatted = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      currencyDisplay: 'narrowSymbol',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+      signDisplay: signed ? 'exceptZero' : 'auto'
+    }).format(value);
+
+    return currency === 'USD' ? formatted : `${formatted} ${currency}`;
+  }
+}
+
+module.exports = new CurrencyService();
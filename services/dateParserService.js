@@ -0,0 +1,192 @@
+const { DateTime } = require('luxon');
+
+// Relative dates like "tomorrow" are resolved in the newsroom timezone, same default as the calendars
+const DEFAULT_ZONE = 'America/New_York';
+
+const WEEKDAYS = {
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+  sun: 7, sunday: 7
+};
+
+const MONTH_NAME_FORMATS_WITH_YEAR = ['LLL d yyyy', 'LLLL d yyyy', 'd LLL yyyy', 'd LLLL yyyy'];
+const MONTH_NAME_FORMATS = ['LLL d', 'LLLL d', 'd LLL', 'd LLLL'];
+
+class DateParserService {
+  constructor() {
+    this.zone = process.env.DATE_PARSER_TIMEZONE || DEFAULT_ZONE;
+  }
+
+  /**
+   * Parse a run date typed by an agent
+   * Accepts YYYY-MM-DD, MM/DD/YYYY, MM/DD/YY, MM/DD, month names ("Oct 25", "October 25, 2026")
+   * and relative phrases ("today", "tomorrow", "in 3 days", "Sunday", "this Sunday", "next Friday")
+   * Dates without a year resolve to their next occurrence
+   * @param {string} input - Date as typed by the agent
+   * @param {Object} options - Parsing options
+   * @param {DateTime} options.now - Reference time (default: now in the newsroom timezone)
+   * @returns {string} Date in YYYY-MM-DD format
+   * @throws {Error} When the date cannot be understood, does not exist or is in the past
+   */
+  parseRunDate(input, { now = DateTime.now().setZone(this.zone) } = {}) {
+    const text = (input || '').trim();
+    if (!text) {
+      throw new Error('Please enter a run date');
+    }
+
+    const today = now.startOf('day');
+    const date = this.parseRelativeDate(text, today) || this.parseNumericDate(text, today) || this.parseMonthNameDate(text, today);
+
+    if (!date) {
+      throw new Error(`Could not understand the date "${text}". Try MM/DD/YYYY, "Oct 25" or "this Sunday".`);
+    }
+    if (!date.isValid) {
+      throw new Error(`"${text}" is not a valid date`);
+    }
+    if (date < today) {
+      throw new Error(`"${text}" (${date.toFormat('MM/dd/yyyy')}) is in the past`);
+    }
+
+    return date.toISODate();
+  }
+
+  /**
+   * Parse a list of run dates separated by commas, semicolons or new lines,
+   * e.g. "2026-10-30, 2026-10-31", "10/30/2026, 10/31/2026" or "Oct 25, 2026, 10/31, this Sunday"
+   * @param {string} input - Dates as typed by the agent
+   * @param {Object} options - Options for parseRunDate
+   * @returns {Array<string>} Unique dates in YYYY-MM-DD format, in run order
+   * @throws {Error} When any of the dates is rejected by parseRunDate
+   */
+  parseRunDates(input, options = {}) {
+    // Split on commas except the one between a month-name day and its year, as in "October 25, 2026" or "25 Oct, 2026"
+    const parts = (input || '')
+      .split(/[;\n]|(?<![a-z]\.?\s+\d{1,2}(?:st|nd|rd|th)?|\d\s+[a-z]{3,}\.?),|,(?!\s*\d{4}(?![\d/-]))/i)
+      .map(part => part.trim())
+      .filter(part => part !== '');
+
+    if (parts.length === 0) {
+      throw new Error('Please enter a run date');
+    }
+
+    const dates = parts.map(part => this.parseRunDate(part, options));
+    return [...new Set(dates)].sort();
+  }
+
+  /**
+   * Resolve relative phrases like "tomorrow" or "next Friday"
+   * @param {string} text - Date text
+   * @param {DateTime} today - Start of today
+   * @returns {DateTime|null} Parsed date, or null if the text is not a relative phrase
+   */
+  parseRelativeDate(text, today) {
+    const phrase = text.toLowerCase().replace(/\s+/g, ' ');
+
+    if (phrase === 'today') {
+      return today;
+    }
+    if (phrase === 'tomorrow') {
+      return today.plus({ days: 1 });
+    }
+
+    const inDaysMatch = phrase.match(/^in (\d{1,3}) days?$/);
+    if (inDaysMatch) {
+      return today.plus({ days: parseInt(inDaysMatch[1]) });
+    }
+
+    // "Sunday" and "this Sunday" include today, "next Sunday" is the first one after today
+    const weekdayMatch = phrase.match(/^(this |next |on )?([a-z]+)$/);
+    if (weekdayMatch && WEEKDAYS[weekdayMatch[2]]) {
+      let daysAhead = (WEEKDAYS[weekdayMatch[2]] - today.weekday + 7) % 7;
+      if (daysAhead === 0 && weekdayMatch[1] === 'next ') {
+        daysAhead = 7;
+      }
+      return today.plus({ days: daysAhead });
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse numeric dates: YYYY-MM-DD, MM/DD/YYYY, MM/DD/YY, MM-DD-YYYY and MM/DD
+   * @param {string} text - Date text
+   * @param {DateTime} today - Start of today
+   * @returns {DateTime|null} Parsed date, possibly invalid, or null if the text is not numeric
+   */
+  parseNumericDate(text, today) {
+    const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (isoMatch) {
+      return DateTime.fromObject({
+        year: parseInt(isoMatch[1]),
+        month: parseInt(isoMatch[2]),
+        day: parseInt(isoMatch[3])
+      }, { zone: today.zone });
+    }
+
+    const usMatch = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?$/);
+    if (usMatch) {
+      const month = parseInt(usMatch[1]);
+      const day = parseInt(usMatch[2]);
+      if (usMatch[3]) {
+        const year = usMatch[3].length === 2 ? 2000 + parseInt(usMatch[3]) : parseInt(usMatch[3]);
+        return DateTime.fromObject({ year, month, day }, { zone: today.zone });
+      }
+      return this.nextOccurrence({ month, day }, today);
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse dates written with a month name, e.g. "Oct 25", "October 25th, 2026" or "25 Oct 2026"
+   * @param {string} text - Date text
+   * @param {DateTime} today - Start of today
+   * @returns {DateTime|null} Parsed date, or null if the text does not match a month name format
+   */
+  parseMonthNameDate(text, today) {
+    const normalized = text
+      .replace(/,/g, ' ')
+      .replace(/\./g, '')
+      .replace(/(\d)(st|nd|rd|th)\b/gi, '$1')
+      .replace(/\bsept\b/i, 'Sep')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    for (const format of MONTH_NAME_FORMATS_WITH_YEAR) {
+      const parsed = DateTime.fromFormat(normalized, format, { zone: today.zone });
+      if (parsed.isValid) {
+        return parsed;
+      }
+    }
+
+    for (const format of MONTH_NAME_FORMATS) {
+      // Parse against a leap year so "Feb 29" is not rejected before the year is known
+      const parsed = DateTime.fromFormat(`${normalized} 2024`, `${format} yyyy`, { zone: today.zone });
+      if (parsed.isValid) {
+        return this.nextOccurrence({ month: parsed.month, day: parsed.day }, today);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a month and day without a year to its next occurrence, today included
+   * @param {Object} monthDay - { month, day }
+   * @param {DateTime} today - Start of today
+   * @returns {DateTime} Date this year, or next year if it has already passed
+   */
+  nextOccurrence({ month, day }, today) {
+    const thisYear = DateTime.fromObject({ year: today.year, month, day }, { zone: today.zone });
+    if (thisYear.isValid && thisYear < today) {
+      return thisYear.plus({ years: 1 });
+    }
+    return thisYear;
+  }
+}
+
+module.exports = new DateParserService();
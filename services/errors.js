@@ -0,0 +1,183 @@
+/**
+ * Errors raised when an upstream service (the pricing API or the publisher calendars) fails,
+ * classified so callers can tell the agent what went wrong and what to do next
+ */
+
+// How each upstream service is named to the agent in error messages
+const SERVICES = {
+  PRICING_API: 'Pricing API',
+  CALENDAR: 'Publisher calendar'
+};
+
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options - Error details
+   * @param {string} options.service - Upstream service that failed, e.g. "Pricing API"
+   * @param {number} options.status - HTTP status of the upstream response, if there was one
+   * @param {*} options.data - Body of the upstream response, if there was one
+   * @param {Error} options.cause - Original error
+   */
+  constructor(message, { service = 'Upstream service', status = null, data = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.service = service;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// The upstream service rejected our credentials (401/403)
+class AuthError extends UpstreamError {}
+
+// The requested publication, package or calendar does not exist upstream
+class NotFoundError extends UpstreamError {}
+
+// The upstream service rejected the request data; fields lists what was wrong
+class ValidationError extends UpstreamError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options - Error details (see UpstreamError)
+   * @param {Array<Object>} options.fields - Rejected fields: [{ field, message }]
+   */
+  constructor(message, { fields = [], ...options } = {}) {
+    super(message, options);
+    this.fields = fields;
+  }
+}
+
+// The upstream service answered with a 5xx
+class UpstreamServerError extends UpstreamError {}
+
+// The upstream service did not answer in time
+class TimeoutError extends UpstreamError {}
+
+// The upstream service could not be reached at all (DNS, refused or reset connections)
+class NetworkError extends UpstreamError {}
+
+// The endpoint's circuit breaker is open after repeated failures, so the call was not made
+class CircuitOpenError extends UpstreamError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options - Error details (see UpstreamError)
+   * @param {string} options.endpoint - Circuit breaker that refused the call
+   * @param {Date} options.retryAt - When the breaker lets a trial call through again
+   */
+  constructor(message, { endpoint, retryAt = null, ...options } = {}) {
+    super(message, options);
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Whether an error means the upstream service is unavailable rather than that the request was wrong,
+ * so the call may succeed if made again later
+ * @param {Error} error - Error raised by an upstream call
+ * @returns {boolean} True for timeouts, network errors and upstream 5xx responses
+ */
+const isTransientError = (error) => {
+  return error instanceof TimeoutError ||
+    error instanceof NetworkError ||
+    error instanceof UpstreamServerError;
+};
+
+/**
+ * Read the field errors out of a validation response
+ * Accepts { errors: [{ field, message }] }, Spring's { errors: [{ field, defaultMessage }] }
+ * and { errors: { field: message | [messages] } }
+ * @param {*} data - Response body
+ * @returns {Array<Object>} [{ field, message }]
+ */
+const getFieldErrors = (data) => {
+  const errors = data && (data.errors || data.fieldErrors || data.violations);
+  if (Array.isArray(errors)) {
+    return errors
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => ({
+        field: entry.field || entry.path || entry.propertyPath || null,
+        message: entry.message || entry.defaultMessage || entry.reason || 'is invalid'
+      }));
+  }
+  if (errors && typeof errors === 'object') {
+    return Object.entries(errors).map(([field, messages]) => ({
+      field,
+      message: [].concat(messages).join(', ')
+    }));
+  }
+  return [];
+};
+
+/**
+ * Read the error message out of an upstream response body
+ * @param {*} data - Response body
+ * @returns {string|null} Message, or null when the body has none
+ */
+const getResponseMessage = (data) => {
+  if (typeof data === 'string') {
+    return data.trim() || null;
+  }
+  if (data && typeof data === 'object') {
+    return data.message || data.error || null;
+  }
+  return null;
+};
+
+/**
+ * Classify a failed axios request as one of the upstream errors
+ * Errors that are already classified, or that did not come from an HTTP request, are returned as-is
+ * @param {Error} error - Error thrown by axios
+ * @param {Object} options - Classification options
+ * @param {string} options.service - Upstream service that was called, e.g. "Pricing API"
+ * @param {Array<number>} options.notFoundStatuses - Statuses that mean "does not exist" (default: [404])
+ * @returns {Error} The classified error
+ */
+const toUpstreamError = (error, { service, notFoundStatuses = [404] } = {}) => {
+  if (error instanceof UpstreamError) {
+    return error;
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const message = getResponseMessage(data) || error.message;
+    const options = { service, status, data, cause: error };
+
+    if (notFoundStatuses.includes(status)) {
+      return new NotFoundError(message, options);
+    }
+    if (status === 401 || status === 403) {
+      return new AuthError(message, options);
+    }
+    if (status === 400 || status === 422) {
+      return new ValidationError(message, { ...options, fields: getFieldErrors(data) });
+    }
+    if (status >= 500) {
+      return new UpstreamServerError(message, options);
+    }
+    return new UpstreamError(message, options);
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new TimeoutError(`${service} did not respond in time`, { service, cause: error });
+  }
+  if (error.request || error.code) {
+    return new NetworkError(`Could not reach ${service}: ${error.code || error.message}`, { service, cause: error });
+  }
+  return error;
+};
+
+module.exports = {
+  SERVICES,
+  UpstreamError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  UpstreamServerError,
+  TimeoutError,
+  NetworkError,
+  CircuitOpenError,
+  isTransientError,
+  toUpstreamError
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+// Prices rarely change within a shift, but rate cards do get updated, so keep entries short-lived
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+class PricingCacheService {
+  constructor() {
+    this.ttlSeconds = Number(process.env.PRICING_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+    this.cache = new NodeCache({ stdTTL: this.ttlSeconds });
+  }
+
+  /**
+   * Build the cache key for a publication's packages
+   * @param {string} publicationUuid - Publication UUID
+   * @returns {string} Cache key
+   */
+  getPackagesKey(publicationUuid) {
+    return `packages:${publicationUuid}`;
+  }
+
+  /**
+   * Build the cache key for the estimate of one obituary
+   * The key names the publication, run dates and package so entries are easy to read in /cache/status,
+   * and ends with a hash of the whole obituary so any change to the spec is a different entry
+   * @param {string} estimator - Upstream estimator
+   * @param {Object} obituary - Obituary object sent to the pricing API
+   * @returns {string} Cache key
+   */
+  getEstimateKey(estimator, obituary) {
+    const publications = (obituary.publication_uuids || []).join(',');
+    const dates = ((obituary.print_object && obituary.print_object.schedule) || []).map(entry => entry.date).join(',');
+    const specHash = crypto.createHash('sha1').update(JSON.stringify(obituary)).digest('hex').slice(0, 16);
+    return `estimate:${estimator}:${publications}:${dates}:${obituary.package_uuid}:${specHash}`;
+  }
+
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  set(key, value) {
+    this.cache.set(key, value);
+  }
+
+  clearCache() {
+    this.cache.flushAll();
+    console.log('Pricing cache cleared');
+  }
+
+  getCacheStats() {
+    const keys = this.cache.keys();
+    return {
+      ttlSeconds: this.ttlSeconds,
+      packages: keys.filter(key => key.startsWith('packages:')).length,
+      estimates: keys.filter(key => key.startsWith('estimate:')).length,
+      keys,
+      stats: this.cache.getStats()
+    };
+  }
+}
+
+module.exports = new PricingCacheService();
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const NodeCache = require('node-cache');
+const { DateTime } = require('luxon');
+const currencyService = require('./currencyService');
+const pricingCacheService = require('./pricingCacheService');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'pricing-history.jsonl');
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+class PricingHistoryService {
+  constructor() {
+    this.historyFile = process.env.PRICING_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+
+    // Prices recorded while the same estimate can still be served from the pricing cache,
+    // so clicking through cached results again does not record them twice
+    this.recentEntries = new NodeCache({ stdTTL: pricingCacheService.ttlSeconds });
+  }
+
+  /**
+   * Build the key that identifies a recorded price, ignoring when it was recorded
+   * @param {Object} entry - History entry
+   * @returns {string} Entry key
+   */
+  getEntryKey(entry) {
+    const { recordedAt, ...price } = entry;
+    return crypto.createHash('sha1').update(JSON.stringify(price)).digest('hex');
+  }
+
+  /**
+   * Whether a string is a trend interval getTrend accepts
+   * @param {string} interval - Interval from the request
+   * @returns {boolean} True for 'day', 'week' or 'month'
+   */
+  isValidInterval(interval) {
+    return TREND_INTERVALS.includes(interval);
+  }
+
+  /**
+   * Append priced results to the history file, one JSON line per result
+   * A result already recorded within the pricing cache TTL is skipped, since it is the same estimate served again
+   * @param {Object} options - What was priced
+   * @param {string} options.publicationUuid - Publication UUID
+   * @param {string} options.countryCode - Publication country_code, for the currency
+   * @param {string} options.packageUuid - Package UUID
+   * @param {Array<string>} options.runDates - Run dates in YYYY-MM-DD format
+   * @param {Array<Object>} options.results - Results from pricingService, each with spec, total and estimator
+   * @returns {Promise<Array>} The recorded entries
+   */
+  async recordResults({ publicationUuid, countryCode, packageUuid, runDates, results }) {
+    const recordedAt = new Date().toISOString();
+    const { currency } = currencyService.getCurrency(countryCode);
+    const pricedEntries = results.map(result => ({
+      recordedAt,
+      publicationUuid,
+      packageUuid,
+      runDates,
+      tier: result.spec.name || 'Custom',
+      wordCount: result.spec.wordCount,
+      photos: result.spec.photos,
+      emblem: result.spec.emblem,
+      upsells: result.spec.upsells || [],
+      total: Number(result.total),
+      currency,
+      estimator: result.estimator,
+      fallbackFrom: result.fallbackFrom || null
+    }));
+
+    const entries = pricedEntries.filter(entry => {
+      const key = this.getEntryKey(entry);
+      if (this.recentEntries.has(key)) {
+        return false;
+      }
+      this.recentEntries.set(key, true);
+      return true;
+    });
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+    await fs.appendFile(this.historyFile, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    console.log(`PricingHistoryService: Recorded ${entries.length} prices for ${publicationUuid}`);
+    return entries;
+  }
+
+  /**
+   * Read every recorded entry, skipping lines that cannot be parsed
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async readEntries() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.historyFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    contents.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`PricingHistoryService: Skipping unreadable line ${index + 1}`);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Get the recorded prices for a publication
+   * @param {string} publicationUuid - Publication UUID
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.packageUuid - Only this package
+   * @param {string} filters.tier - Only this tier, e.g. "Medium" or "Custom"
+   * @param {string} filters.runDate - Only prices that included this run date (YYYY-MM-DD)
+   * @param {DateTime} filters.from - Only prices recorded at or after this time
+   * @param {DateTime} filters.to - Only prices recorded before this time
+   * @returns {Promise<Array>} Matching entries, newest first
+   */
+  async getHistory(publicationUuid, { packageUuid, tier, runDate, from, to } = {}) {
+    const entries = await this.readEntries();
+    return entries
+      .filter(entry => {
+        if (entry.publicationUuid !== publicationUuid) return false;
+        if (packageUuid && entry.packageUuid !== packageUuid) return false;
+        if (tier && entry.tier.toLowerCase() !== tier.toLowerCase()) return false;
+        if (runDate && !entry.runDates.includes(runDate)) return false;
+        const recordedAt = DateTime.fromISO(entry.recordedAt);
+        if (from && recordedAt < from) return false;
+        if (to && recordedAt >= to) return false;
+        return true;
+      })
+      .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+  }
+
+  /**
+   * Summarize how a publication's prices moved over time, per tier
+   * @param {string} publicationUuid - Publication UUID
+   * @param {Object} options - History filters (see getHistory) and the interval
+   * @param {string} options.interval - 'day', 'week' or 'month' (default: 'week')
+   * @returns {Promise<Array>} One entry per tier: { tier, periods: [{ period, count, min, max, average, change, estimators }] }
+   */
+  async getTrend(publicationUuid, { interval = 'week', ...filters } = {}) {
+    if (!this.isValidInterval(interval)) {
+      throw new Error(`Interval must be one of: ${TREND_INTERVALS.join(', ')}`);
+    }
+
+    const entries = (await this.getHistory(publicationUuid, filters)).reverse();
+    const tiers = new Map();
+
+    entries.forEach(entry => {
+      const period = DateTime.fromISO(entry.recordedAt).startOf(interval).toISODate();
+      if (!tiers.has(entry.tier)) {
+        tiers.set(entry.tier, new Map());
+      }
+      const periods = tiers.get(entry.tier);
+      if (!periods.has(period)) {
+        periods.set(period, { period, totals: [], estimators: {} });
+      }
+      const bucket = periods.get(period);
+      bucket.totals.push(entry.total);
+      bucket.estimators[entry.estimator] = (bucket.estimators[entry.estimator] || 0) + 1;
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return Array.from(tiers.entries()).map(([tier, periods]) => {
+      let previousAverage = null;
+      return {
+        tier,
+        periods: Array.from(periods.values()).map(bucket => {
+          const average = round(bucket.totals.reduce((sum, total) => sum + total, 0) / bucket.totals.length);
+          const summary = {
+            period: bucket.period,
+            count: bucket.totals.length,
+            min: Math.min(...bucket.totals),
+            max: Math.max(...bucket.totals),
+            average,
+            change: previousAverage === null ? null : round(average - previousAverage),
+            estimators: bucket.estimators
+          };
+          previousAverage = average;
+          return summary;
+        })
+      };
+    });
+  }
+}
+
+module.exports = new PricingHistoryService();
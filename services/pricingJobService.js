@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+// Intercom gives up on a canvas after 10 seconds, so stop waiting a little before that
+const DEFAULT_CANVAS_TIMEOUT_MS = 8000;
+
+// Keep finished jobs around long enough for the agent to come back and refresh
+const JOB_TTL_SECONDS = 30 * 60;
+
+class PricingJobService {
+  constructor() {
+    this.jobs = new NodeCache({ stdTTL: JOB_TTL_SECONDS, useClones: false });
+    this.canvasTimeoutMs = Number(process.env.PRICING_CANVAS_TIMEOUT_MS) || DEFAULT_CANVAS_TIMEOUT_MS;
+  }
+
+  /**
+   * Start a pricing task in the background
+   * The task keeps running after the canvas gives up waiting, and its result is kept under the job ID
+   * @param {Function} task - Async function producing the job result
+   * @returns {Object} Job: { id, status, startedAt, finishedAt, result, error }
+   */
+  start(task) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    job.promise = Promise.resolve()
+      .then(task)
+      .then(result => {
+        job.status = 'done';
+        job.result = result;
+      })
+      .catch(error => {
+        console.error(`PricingJobService: Job ${job.id} failed:`, error.message);
+        job.status = 'failed';
+        job.error = error;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        console.log(`PricingJobService: Job ${job.id} ${job.status} after ${Date.parse(job.finishedAt) - Date.parse(job.startedAt)}ms`);
+      });
+
+    this.jobs.set(job.id, job);
+    console.log(`PricingJobService: Started job ${job.id}`);
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null when it is unknown or has expired
+   */
+  get(id) {
+    return (id && this.jobs.get(id)) || null;
+  }
+
+  /**
+   * Wait for a job to finish, but no longer than a canvas can wait
+   * @param {string} id - Job ID
+   * @param {number} timeoutMs - How long to wait (default: PRICING_CANVAS_TIMEOUT_MS)
+   * @returns {Promise<Object|null>} The job, still pending if it did not finish in time
+   */
+  async waitFor(id, timeoutMs = this.canvasTimeoutMs) {
+    const job = this.get(id);
+    if (!job || job.status !== 'pending') {
+      return job;
+    }
+
+    let timer;
+    await Promise.race([
+      job.promise,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      })
+    ]);
+    clearTimeout(timer);
+    return job;
+  }
+
+  /**
+   * Get job statistics
+   * @returns {Object} Number of jobs by status
+   */
+  getStats() {
+    const stats = { pending: 0, done: 0, failed: 0 };
+    this.jobs.keys().forEach(id => {
+      const job = this.jobs.get(id);
+      if (job) {
+        stats[job.status]++;
+      }
+    });
+    return stats;
+  }
+}
+
+module.exports = new PricingJobService();
@@ -0,0 +1,262 @@
+const apiService = require('./apiService');
+const { SERVICES, TimeoutError, CircuitOpenError, isTransientError } = require('./errors');
+
+// Pricing runs as a background job that can outlive the canvas, so this only bounds how long a job may take
+const PRICING_TIMEOUT_MS = Number(process.env.PRICING_TIMEOUT_MS) || 30000;
+
+class PricingService {
+  /**
+   * Make the pricing API call, giving up once the pricing budget is spent
+   * The upstream call itself always gets the whole budget, so only an estimator that cannot answer
+   * within PRICING_TIMEOUT_MS counts against its circuit breaker
+   * @param {Array} requestData - Array of obituary objects for pricing
+   * @param {string} estimator - Upstream estimator to use
+   * @param {number} timeoutMs - How long to wait for the estimate
+   * @param {Object} options - Cache options passed to apiService.getPricingEstimates
+   * @returns {Promise<Array>} Pricing estimates
+   */
+  getPricingEstimatesWithTimeout(requestData, estimator = apiService.getDefaultEstimator(), timeoutMs = PRICING_TIMEOUT_MS, options = {}) {
+    let timer;
+    return Promise.race([
+      apiService.getPricingEstimates(requestData, estimator, { ...options, timeoutMs: PRICING_TIMEOUT_MS }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(
+          `The ${estimator} estimator did not answer within ${Math.round(timeoutMs / 1000)}s`,
+          { service: SERVICES.PRICING_API }
+        )), timeoutMs);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Whether an estimator failure is worth retrying with another estimator
+   * @param {Error} error - Error raised by the pricing call
+   * @returns {boolean} True for timeouts, network errors, upstream 5xx responses and open circuit breakers
+   */
+  isEstimatorUnavailable(error) {
+    return isTransientError(error) || error instanceof CircuitOpenError;
+  }
+
+  /**
+   * Get estimates from the chosen estimator, falling back to another one when it is unavailable,
+   * or from every configured estimator when comparing
+   * @param {Array} requestData - Array of obituary objects for pricing
+   * @param {Object} options - Estimator options
+   * @param {string} options.estimator - Estimator to use (default: first configured estimator)
+   * @param {boolean} options.compare - Also get estimates from the fallback estimator
+   * @param {boolean} options.bypassCache - Price upstream even when the estimates are cached
+   * @returns {Promise<Object>} { estimator, response, fallbackFrom, alternate: { estimator, response } | null }
+   */
+  async getEstimates(requestData, { estimator = apiService.getDefaultEstimator(), compare = false, bypassCache = false } = {}) {
+    const fallbackEstimator = apiService.getFallbackEstimator(estimator);
+    const cacheOptions = { bypassCache };
+
+    if (compare && fallbackEstimator) {
+      const [primary, secondary] = await Promise.allSettled([
+        this.getPricingEstimatesWithTimeout(requestData, estimator, PRICING_TIMEOUT_MS, cacheOptions),
+        this.getPricingEstimatesWithTimeout(requestData, fallbackEstimator, PRICING_TIMEOUT_MS, cacheOptions)
+      ]);
+
+      if (primary.status === 'fulfilled') {
+        return {
+          estimator,
+          response: primary.value,
+          fallbackFrom: null,
+          alternate: secondary.status === 'fulfilled' ? { estimator: fallbackEstimator, response: secondary.value } : null
+        };
+      }
+      if (secondary.status === 'fulfilled' && this.isEstimatorUnavailable(primary.reason)) {
+        console.warn(`PricingService: ${estimator} estimator unavailable, using ${fallbackEstimator}`);
+        return { estimator: fallbackEstimator, response: secondary.value, fallbackFrom: estimator, alternate: null };
+      }
+      throw primary.reason;
+    }
+
+    // A slow estimator keeps the whole budget, since the job outlives the canvas;
+    // the other estimator is only tried when the chosen one fails or its circuit breaker is open
+    const startedAt = Date.now();
+    try {
+      const response = await this.getPricingEstimatesWithTimeout(requestData, estimator, PRICING_TIMEOUT_MS, cacheOptions);
+      return { estimator, response, fallbackFrom: null, alternate: null };
+    } catch (error) {
+      if (!fallbackEstimator || !this.isEstimatorUnavailable(error)) {
+        throw error;
+      }
+
+      // Spend whatever is left of the pricing budget on the other estimator
+      const remainingMs = PRICING_TIMEOUT_MS - (Date.now() - startedAt);
+      console.warn(`PricingService: ${estimator} estimator unavailable (${error.message}), falling back to ${fallbackEstimator}`);
+      try {
+        const response = await this.getPricingEstimatesWithTimeout(requestData, fallbackEstimator, Math.max(remainingMs, 1000), cacheOptions);
+        return { estimator: fallbackEstimator, response, fallbackFrom: estimator, alternate: null };
+      } catch (fallbackError) {
+        console.error(`PricingService: ${fallbackEstimator} estimator also failed:`, fallbackError.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Price one or more obituary specs for a run schedule
+   * When the schedule has several run dates, each spec is also priced per date
+   * so the combined estimate can be broken down
+   * @param {Object} options - Pricing options
+   * @param {string} options.publicationUuid - Publication UUID
+   * @param {string} options.packageUuid - Package UUID
+   * @param {Array<string>} options.runDates - Run dates in YYYY-MM-DD format
+   * @param {Array<Object>} options.specs - Obituary specs, each with an optional name
+   * @param {string} options.estimator - Estimator to use
+   * @param {boolean} options.compareEstimators - Also price with the other estimator
+   * @param {boolean} options.bypassCache - Price upstream even when the estimates are cached
+   * @returns {Promise<Array>} One result per spec: { spec, total, estimate, perDate, estimator, fallbackFrom, alternate }
+   */
+  async priceSchedule({ publicationUuid, packageUuid, runDates, specs, estimator, compareEstimators = false, bypassCache = false }) {
+    const splitByDate = runDates.length > 1;
+    const requestData = [];
+
+    specs.forEach(spec => {
+      requestData.push(apiService.createObituaryRequestData(publicationUuid, runDates, packageUuid, spec, spec.name));
+      if (splitByDate) {
+        runDates.forEach(date => {
+          requestData.push(apiService.createObituaryRequestData(publicationUuid, [date], packageUuid, spec, spec.name));
+        });
+      }
+    });
+
+    const estimates = await this.getEstimates(requestData, { estimator, compare: compareEstimators, bypassCache });
+    console.log(`PricingService: Received ${estimates.response.length} ${estimates.estimator} estimates for ${specs.length} specs and ${runDates.length} run dates`);
+
+    // Estimates come back in the same order the obituaries were sent
+    const estimatesPerSpec = splitByDate ? runDates.length + 1 : 1;
+    const readSpec = (response, specIndex) => {
+      const offset = specIndex * estimatesPerSpec;
+      const estimate = response[offset];
+      return {
+        estimate,
+        total: estimate.total_price,
+        perDate: splitByDate ? runDates.map((date, dateIndex) => ({
+          date,
+          estimate: response[offset + dateIndex + 1],
+          total: response[offset + dateIndex + 1].total_price
+        })) : []
+      };
+    };
+
+    return specs.map((spec, specIndex) => ({
+      spec,
+      ...readSpec(estimates.response, specIndex),
+      estimator: estimates.estimator,
+      fallbackFrom: estimates.fallbackFrom,
+      alternate: estimates.alternate ? {
+        estimator: estimates.alternate.estimator,
+        ...readSpec(estimates.alternate.response, specIndex)
+      } : null
+    }));
+  }
+
+  /**
+   * Price an obituary with its selected upsells, along with the base obituary and each upsell
+   * on its own so the contribution of every upsell can be shown
+   * @param {Object} options - Pricing options, see priceSchedule
+   * @param {Object} options.spec - Obituary spec with the selected upsell UUIDs
+   * @returns {Promise<Object>} { result, base, upsells: [{ uuid, total, contribution }] }
+   */
+  async priceWithUpsells({ publicationUuid, packageUuid, runDates, spec, estimator, compareEstimators = false, bypassCache = false }) {
+    const upsells = spec.upsells || [];
+    const specs = [spec];
+    if (upsells.length > 0) {
+      specs.push({ ...spec, upsells: [] }, ...upsells.map(uuid => ({ ...spec, upsells: [uuid] })));
+    }
+
+    const [result, base = result, ...single] = await this.priceSchedule({
+      publicationUuid,
+      packageUuid,
+      runDates,
+      specs,
+      estimator,
+      compareEstimators,
+      bypassCache
+    });
+
+    return {
+      result,
+      base,
+      upsells: upsells.map((uuid, index) => ({
+        uuid,
+        total: single[index].total,
+        contribution: Math.round((Number(single[index].total) - Number(base.total)) * 100) / 100
+      }))
+    };
+  }
+
+  /**
+   * Price the same obituary as a single insertion on each of several run dates
+   * @param {Object} options - Pricing options
+   * @param {string} options.publicationUuid - Publication UUID
+   * @param {string} options.packageUuid - Package UUID
+   * @param {Array<string>} options.runDates - Run dates in YYYY-MM-DD format
+   * @param {Object} options.spec - Obituary spec
+   * @param {string} options.estimator - Estimator to use
+   * @param {boolean} options.bypassCache - Price upstream even when the estimates are cached
+   * @returns {Promise<Array>} One entry per run date: { date, total, estimate, estimator, fallbackFrom }
+   */
+  async priceEachRunDate({ publicationUuid, packageUuid, runDates, spec, estimator, bypassCache = false }) {
+    const requestData = runDates.map(date =>
+      apiService.createObituaryRequestData(publicationUuid, [date], packageUuid, spec, spec.name)
+    );
+
+    const estimates = await this.getEstimates(requestData, { estimator, bypassCache });
+    console.log(`PricingService: Received ${estimates.response.length} ${estimates.estimator} estimates for ${runDates.length} run dates`);
+
+    return runDates.map((date, index) => ({
+      date,
+      estimate: estimates.response[index],
+      total: estimates.response[index].total_price,
+      estimator: estimates.estimator,
+      fallbackFrom: estimates.fallbackFrom
+    }));
+  }
+
+  /**
+   * Price the same obituary in several publications, each with its default package
+   * A publication that cannot be priced is reported with its error instead of failing the whole comparison
+   * @param {Object} options - Comparison options
+   * @param {Array<Object>} options.publications - Publications to compare, each with uuid and name
+   * @param {Array<string>} options.runDates - Run dates in YYYY-MM-DD format
+   * @param {Object} options.spec - Obituary spec
+   * @param {string} options.estimator - Estimator to use
+   * @returns {Promise<Array>} One entry per publication, cheapest first, unpriced publications last
+   */
+  async comparePublications({ publications, runDates, spec, estimator }) {
+    const settled = await Promise.allSettled(publications.map(async publication => {
+      const packages = await apiService.fetchPackagesByPublication(publication.uuid);
+      const selectedPackage = apiService.selectDefaultPackage(packages);
+      const [result] = await this.priceSchedule({
+        publicationUuid: publication.uuid,
+        packageUuid: selectedPackage.uuid,
+        runDates,
+        specs: [spec],
+        estimator
+      });
+      return { ...result, package: selectedPackage };
+    }));
+
+    const comparison = settled.map((outcome, index) => {
+      const publication = publications[index];
+      if (outcome.status === 'fulfilled') {
+        return { publication, ...outcome.value };
+      }
+      console.error(`PricingService: Could not price ${publication.uuid}:`, outcome.reason.message);
+      return { publication, error: outcome.reason };
+    });
+
+    return comparison.sort((a, b) => {
+      if (a.error || b.error) {
+        return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+      }
+      return Number(a.total) - Number(b.total);
+    });
+  }
+}
+
+module.exports = new PricingService();
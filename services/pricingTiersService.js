@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+class PricingTiersService {
+  constructor() {
+    // Tier definitions can be swapped per environment without a code change
+    this.tiersFile = process.env.PRICING_TIERS_FILE || path.join(__dirname, '..', 'config', 'pricingTiers.json');
+  }
+
+  /**
+   * Validate a single tier definition
+   * @param {Object} tier - Tier definition from the tiers file
+   * @param {number} index - Position of the tier in the file
+   * @returns {Object} Normalized tier
+   */
+  normalizeTier(tier, index) {
+    if (!tier || !tier.name) {
+      throw new Error(`Pricing tier at position ${index} is missing a name`);
+    }
+
+    const hasText = typeof tier.text === 'string' && tier.text.trim() !== '';
+    if (!hasText && !(Number.isInteger(tier.wordCount) && tier.wordCount > 0)) {
+      throw new Error(`Pricing tier "${tier.name}" needs a positive wordCount or a sample text`);
+    }
+
+    const normalized = {
+      name: tier.name,
+      label: tier.label || '',
+      wordCount: hasText ? tier.text.trim().split(/\s+/).length : tier.wordCount,
+      photos: tier.photos || 0,
+      emblem: Boolean(tier.emblem),
+      columns: tier.columns || 1,
+      depth: tier.depth || 1
+    };
+
+    if (hasText) {
+      normalized.text = tier.text.trim();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Load the pricing tiers from the tiers file
+   * The file is read on every call so edits apply without a restart
+   * @returns {Array<Object>} Pricing tiers in display order
+   */
+  getTiers() {
+    try {
+      const tiers = JSON.parse(fs.readFileSync(this.tiersFile, 'utf8'));
+      if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('Pricing tiers file must contain a non-empty array');
+      }
+      return tiers.map((tier, index) => this.normalizeTier(tier, index));
+    } catch (error) {
+      console.error('PricingTiersService: Error loading pricing tiers:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PricingTiersService();
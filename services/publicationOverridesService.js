@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDE_TYPES = ['add', 'patch', 'hide', 'aliases'];
+
+const EMPTY_OVERRIDES = { add: [], patch: [], hide: [], aliases: [] };
+
+class PublicationOverridesService {
+  constructor() {
+    // Local corrections to the catalog API: synthetic papers, field fixes, hidden papers and search aliases
+    this.overridesFile = process.env.PUBLICATION_OVERRIDES_FILE || path.join(__dirname, '..', 'config', 'publicationOverrides.json');
+    this.overrides = EMPTY_OVERRIDES;
+    this.version = 0;
+    this.loadedMtimeMs = null;
+    this.loadedAt = null;
+    this.loadError = null;
+  }
+
+  /**
+   * Validate one override entry
+   * @param {string} type - 'add', 'patch', 'hide' or 'aliases'
+   * @param {Object} entry - Entry from the overrides file
+   * @param {number} index - Position of the entry in its list
+   * @returns {Object} The entry
+   */
+  normalizeEntry(type, entry, index) {
+    if (!entry || typeof entry.uuid !== 'string' || entry.uuid.trim() === '') {
+      throw new Error(`Override "${type}" at position ${index} is missing a uuid`);
+    }
+    if (type === 'add' && !entry.name) {
+      throw new Error(`Added publication "${entry.uuid}" is missing a name`);
+    }
+    if (type === 'patch') {
+      if (!entry.fields || typeof entry.fields !== 'object' || Array.isArray(entry.fields)) {
+        throw new Error(`Patch for "${entry.uuid}" needs a "fields" object`);
+      }
+      if ('uuid' in entry.fields) {
+        throw new Error(`Patch for "${entry.uuid}" cannot change the uuid`);
+      }
+    }
+    if (type === 'aliases' && (!Array.isArray(entry.aliases) || entry.aliases.length === 0 ||
+      entry.aliases.some(alias => typeof alias !== 'string' || alias.trim() === ''))) {
+      throw new Error(`Aliases for "${entry.uuid}" must be a non-empty list of names`);
+    }
+    return entry;
+  }
+
+  /**
+   * Read and validate the overrides file
+   * The last good overrides stay in use when the file cannot be read, and the error is reported
+   * @returns {Object} Overrides: { add, patch, hide, aliases }
+   */
+  reload() {
+    try {
+      const stats = fs.statSync(this.overridesFile);
+      const contents = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+      if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new Error('Overrides file must contain an object');
+      }
+
+      const overrides = {};
+      OVERRIDE_TYPES.forEach(type => {
+        const entries = contents[type] || [];
+        if (!Array.isArray(entries)) {
+          throw new Error(`"${type}" must be a list`);
+        }
+        overrides[type] = entries.map((entry, index) => this.normalizeEntry(type, entry, index));
+      });
+
+      this.overrides = overrides;
+      this.loadedMtimeMs = stats.mtimeMs;
+      this.loadError = null;
+      console.log(`PublicationOverridesService: Loaded ${OVERRIDE_TYPES.map(type => `${overrides[type].length} ${type}`).join(', ')}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.overrides = EMPTY_OVERRIDES;
+        this.loadedMtimeMs = null;
+        this.loadError = null;
+      } else {
+        console.error('PublicationOverridesService: Error loading overrides, keeping the previous ones:', error.message);
+        this.loadError = error.message;
+        // Do not retry a broken file until it changes again
+        try {
+          this.loadedMtimeMs = fs.statSync(this.overridesFile).mtimeMs;
+        } catch (statError) {
+          this.loadedMtimeMs = null;
+        }
+      }
+    }
+
+    this.version += 1;
+    this.loadedAt = new Date().toISOString();
+    return this.overrides;
+  }
+
+  /**
+   * Get the current overrides, reloading the file when it has changed since it was last read
+   * @returns {Object} Overrides: { add, patch, hide, aliases }
+   */
+  getOverrides() {
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(this.overridesFile).mtimeMs;
+    } catch (error) {
+      mtimeMs = null;
+    }
+
+    if (this.loadedAt === null || mtimeMs !== this.loadedMtimeMs) {
+      this.reload();
+    }
+    return this.overrides;
+  }
+
+  /**
+   * Get a number that changes whenever the overrides are reloaded
+   * @returns {number} Overrides version
+   */
+  getVersion() {
+    this.getOverrides();
+    return this.version;
+  }
+
+  /**
+   * Apply the overrides to a catalog from the API, without changing it
+   * @param {Array} publications - Catalog from the API
+   * @param {Function} matchesFilter - Whether an added publication belongs in this catalog
+   * @returns {Array} Catalog with publications hidden, patched, aliased and added
+   */
+  apply(publications, matchesFilter = () => true) {
+    const { add, patch, hide, aliases } = this.getOverrides();
+    const hiddenUuids = new Set(hide.map(entry => entry.uuid));
+    const catalogUuids = new Set(publications.map(pub => pub.uuid));
+
+    const applyEntries = (publication) => {
+      let result = publication;
+      patch.filter(entry => entry.uuid === publication.uuid).forEach(entry => {
+        result = { ...result, ...entry.fields };
+      });
+      const publicationAliases = aliases
+        .filter(entry => entry.uuid === publication.uuid)
+        .flatMap(entry => entry.aliases);
+      if (publicationAliases.length > 0) {
+        result = { ...result, aliases: publicationAliases };
+      }
+      return result;
+    };
+
+    const addedPublications = add
+      .filter(entry => !catalogUuids.has(entry.uuid) && !hiddenUuids.has(entry.uuid))
+      .map(({ note, ...publication }) => applyEntries(publication))
+      .filter(matchesFilter);
+
+    return publications
+      .filter(pub => !hiddenUuids.has(pub.uuid))
+      .map(applyEntries)
+      .concat(addedPublications);
+  }
+
+  /**
+   * List every override and whether it applies to the catalog
+   * @param {Array} publications - Whole catalog from the API, before overrides
+   * @returns {Object} { file, loadedAt, error, overrides: [{ type, uuid, applied, reason, note }] }
+   */
+  getReport(publications) {
+    const overrides = this.getOverrides();
+    const catalogUuids = new Set(publications.map(pub => pub.uuid));
+    const addedUuids = new Set(overrides.add.map(entry => entry.uuid).filter(uuid => !catalogUuids.has(uuid)));
+    const hiddenUuids = new Set(overrides.hide.map(entry => entry.uuid));
+
+    const describe = (type, entry) => {
+      const report = { type, uuid: entry.uuid, applied: true, reason: null, note: entry.note || null };
+      const known = catalogUuids.has(entry.uuid) || addedUuids.has(entry.uuid);
+
+      if (type === 'add' && catalogUuids.has(entry.uuid)) {
+        return { ...report, applied: false, reason: 'The catalog API already has this publication' };
+      }
+      if (type === 'hide' && !known) {
+        return { ...report, applied: false, reason: 'Not in the catalog' };
+      }
+      if (type !== 'hide' && hiddenUuids.has(entry.uuid)) {
+        return { ...report, applied: false, reason: 'The publication is hidden' };
+      }
+      if ((type === 'patch' || type === 'aliases') && !known) {
+        return { ...report, applied: false, reason: 'Not in the catalog' };
+      }
+
+      if (type === 'patch') report.fields = Object.keys(entry.fields);
+      if (type === 'aliases') report.aliases = entry.aliases;
+      return report;
+    };
+
+    return {
+      file: this.overridesFile,
+      loadedAt: this.loadedAt,
+      error: this.loadError,
+      overrides: OVERRIDE_TYPES.flatMap(type => overrides[type].map(entry => describe(type, entry)))
+    };
+  }
+}
+
+module.exports = new PublicationOverridesService();
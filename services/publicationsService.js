@@ -1,79 +1,261 @@
 const NodeCache = require('node-cache');
 const apiService = require('./apiService');
+const publicationOverridesService = require('./publicationOverridesService');
+const searchService = require('./searchService');
+const COUNTRIES = require('../config/regions.json');
+
+// Region dropdown value meaning "no filter"
+const ALL_REGIONS = 'all';
 
 class PublicationsService {
   constructor() {
     // Initialize cache with 8 hours TTL (8 * 60 * 60 seconds)
-    this.cache = new NodeCache({ stdTTL: 8 * 60 * 60 });
+    // Catalogs are never modified once cached, so hand out the same array instead of a copy per request;
+    // that also lets the applied overrides and the search index be reused
+    this.cache = new NodeCache({ stdTTL: 8 * 60 * 60, useClones: false });
     this.cacheKey = 'publications_data';
+
+    // The cache holds catalogs as the API returned them; overrides are applied on the way out
+    // and the result is kept until the overrides change
+    this.appliedCatalogs = new WeakMap();
+  }
+
+  /**
+   * Normalize a catalog filter so equivalent filters share a cache entry
+   * @param {Object} filter - Catalog filter
+   * @param {string} filter.countryCode - Country code, e.g. 'US' or 'CA'
+   * @param {string} filter.regionCode - Region code, e.g. 'FL' or 'ON'
+   * @returns {Object} { countryCode, regionCode }, upper-cased, '' when not filtered
+   */
+  normalizeFilter({ countryCode = '', regionCode = '' } = {}) {
+    return {
+      countryCode: String(countryCode || '').trim().toUpperCase(),
+      regionCode: String(regionCode || '').trim().toUpperCase()
+    };
+  }
+
+  /**
+   * Get the cache key of a catalog; the unfiltered catalog keeps the original key
+   * @param {Object} filter - Catalog filter (see normalizeFilter)
+   * @returns {string} Cache key
+   */
+  getCatalogKey(filter = {}) {
+    const { countryCode, regionCode } = this.normalizeFilter(filter);
+    return countryCode || regionCode ? `${this.cacheKey}:${countryCode}:${regionCode}` : this.cacheKey;
+  }
+
+  /**
+   * Whether a publication belongs in a filtered catalog
+   * @param {Object} publication - Publication from the catalog
+   * @param {Object} filter - Catalog filter (see normalizeFilter)
+   * @returns {boolean} True when the publication matches
+   */
+  matchesFilter(publication, filter = {}) {
+    const { countryCode, regionCode } = this.normalizeFilter(filter);
+    return (!countryCode || publication.country_code === countryCode) &&
+      (!regionCode || publication.region_code === regionCode);
+  }
+
+  /**
+   * Apply the publication overrides to a catalog from the API
+   * @param {Array} publications - Catalog as the API returned it
+   * @param {Object} filter - Catalog filter the API was called with (see normalizeFilter)
+   * @returns {Array} Catalog with the overrides applied
+   */
+  applyOverrides(publications, filter = {}) {
+    const version = publicationOverridesService.getVersion();
+    const applied = this.appliedCatalogs.get(publications);
+    if (applied && applied.version === version) {
+      return applied.publications;
+    }
+
+    const result = publicationOverridesService.apply(publications, pub => this.matchesFilter(pub, filter));
+    this.appliedCatalogs.set(publications, { version, publications: result });
+    return result;
   }
 
-  async fetchPublications() {
+  /**
+   * Fetch a catalog from the API and cache it
+   * @param {Object} filter - Catalog filter (see normalizeFilter); the whole catalog when empty
+   * @returns {Promise<Array>} Publications, with the overrides applied
+   */
+  async fetchPublications(filter = {}) {
+    const { countryCode, regionCode } = this.normalizeFilter(filter);
+
     try {
-      console.log('PublicationsService: Delegating to ApiService...');
+      console.log('PublicationsService: Delegating to ApiService...', countryCode || regionCode ? { countryCode, regionCode } : '');
 
       // Use apiService to fetch publications
-      let publications = await apiService.fetchPublications();
-
-      const static_one = {
-        "uuid": "BRD-Bradenton Herald",
-        "name": "BRD-Bradenton Herald",
-        "description": "Publishes daily (Saturday is an e-edition only)",
-        "type": "PRINT",
-        "affiliate_uid": "9999",
-        "image_uri": "",
-        "city_name": "",
-        "region_code": "",
-        "country_code": "US",
-        "publisher_name": "Spokesman-Review",
-        "publication_link": "BRD-Bradenton Herald"
-      }
-      publications.push(static_one)
+      const publications = await apiService.fetchPublications(regionCode, countryCode);
 
       // Store in cache
-      this.cache.set(this.cacheKey, publications);
+      this.cache.set(this.getCatalogKey({ countryCode, regionCode }), publications);
 
-      return publications;
+      return this.applyOverrides(publications, { countryCode, regionCode });
     } catch (error) {
       console.error('PublicationsService: Error fetching publications:', error.message);
       throw error;
     }
   }
 
-  getPublications() {
-    const cachedData = this.cache.get(this.cacheKey);
+  /**
+   * Get a cached catalog
+   * @param {Object} filter - Catalog filter (see normalizeFilter); the whole catalog when empty
+   * @returns {Array|null} Publications with the overrides applied, or null when that catalog is not cached
+   */
+  getPublications(filter = {}) {
+    const cachedData = this.cache.get(this.getCatalogKey(filter));
     if (cachedData) {
       console.log('Returning cached publications data');
-      return cachedData;
+      return this.applyOverrides(cachedData, filter);
     }
     return null;
   }
 
-  async getPublicationsWithFallback() {
-    let publications = this.getPublications();
+  /**
+   * Get a catalog from the cache, fetching it when it is not cached
+   * @param {Object} filter - Catalog filter (see normalizeFilter); the whole catalog when empty
+   * @returns {Promise<Array>} Publications
+   */
+  async getPublicationsWithFallback(filter = {}) {
+    let publications = this.getPublications(filter);
 
     if (!publications) {
       console.log('No cached data found, fetching from API...');
-      publications = await this.fetchPublications();
+      publications = await this.fetchPublications(filter);
     }
 
     return publications;
   }
 
+  /**
+   * Find the publications that match a query
+   * Works on the whole catalog, so any country or region is answered from the one cached catalog
+   * @param {Object} query - Publication query
+   * @param {Object} query.filter - Country and region filter (see normalizeFilter)
+   * @param {string} query.q - Search text, ranked by searchService; qualifiers such as "city: Tampa" work too
+   * @param {Array<string>} query.types - Publication types, e.g. ['PRINT']; any type when empty
+   * @param {string} query.publisher - Text the publisher name has to contain
+   * @returns {Promise<Array>} Matching publications, best match first when searching, in catalog order otherwise
+   */
+  async findPublications({ filter = {}, q = '', types = [], publisher = '' } = {}) {
+    const publications = await this.getPublicationsWithFallback();
+    const wantedTypes = new Set(types.map(type => type.toUpperCase()));
+    const wantedPublisher = publisher.toLowerCase();
+
+    const candidates = q ? searchService.search(publications, q) : publications;
+    return candidates.filter(pub =>
+      this.matchesFilter(pub, filter) &&
+      (wantedTypes.size === 0 || wantedTypes.has(String(pub.type || '').toUpperCase())) &&
+      (!wantedPublisher || String(pub.publisher_name || '').toLowerCase().includes(wantedPublisher)));
+  }
+
+  /**
+   * Get one publication from the whole catalog
+   * @param {string} uuid - Publication UUID
+   * @returns {Promise<Object|null>} The publication, or null when it is not in the catalog
+   */
+  async getPublication(uuid) {
+    const publications = await this.getPublicationsWithFallback();
+    return publications.find(pub => pub.uuid === uuid) || null;
+  }
+
+  /**
+   * Get the options of the region dropdown: every country, then each of its regions
+   * @returns {Array<Object>} [{ id, label }], ids like 'all', 'CA' or 'CA-ON'
+   */
+  getRegionOptions() {
+    const options = [{ id: ALL_REGIONS, label: 'All countries and regions' }];
+    COUNTRIES.forEach(country => {
+      options.push({ id: country.countryCode, label: `All of ${country.name}` });
+      Object.entries(country.regions).forEach(([regionCode, regionName]) => {
+        options.push({ id: `${country.countryCode}-${regionCode}`, label: `${regionName}, ${country.countryCode}` });
+      });
+    });
+    return options;
+  }
+
+  /**
+   * Turn a region dropdown value back into a catalog filter
+   * @param {string} optionId - Region option id, e.g. 'all', 'CA' or 'CA-ON'
+   * @returns {Object} { countryCode, regionCode }
+   */
+  parseRegionOption(optionId) {
+    if (!optionId || optionId === ALL_REGIONS) {
+      return this.normalizeFilter();
+    }
+    const [countryCode, regionCode] = String(optionId).split('-');
+    return this.normalizeFilter({ countryCode, regionCode });
+  }
+
+  /**
+   * Describe a catalog filter for the agent
+   * @param {Object} filter - Catalog filter (see normalizeFilter)
+   * @returns {string|null} e.g. "Ontario, Canada", or null when not filtered
+   */
+  describeFilter(filter = {}) {
+    const { countryCode, regionCode } = this.normalizeFilter(filter);
+    if (!countryCode && !regionCode) {
+      return null;
+    }
+
+    const country = COUNTRIES.find(entry => entry.countryCode === countryCode);
+    const countryName = country ? country.name : countryCode;
+    const regionName = country && country.regions[regionCode] ? country.regions[regionCode] : regionCode;
+    return [regionName, countryName].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Describe where a publication is and who publishes it, for search results
+   * @param {Object} publication - Publication from the catalog
+   * @returns {string} e.g. "Tampa, FL · Times Publishing"; the country stands in for a missing city and region
+   */
+  describePublication(publication) {
+    const location = [publication.city_name, publication.region_code].filter(Boolean).join(', ') || publication.country_code;
+    return [location, publication.publisher_name].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Reload the overrides file and report which overrides apply to the whole catalog
+   * @returns {Promise<Object>} Report from publicationOverridesService.getReport
+   */
+  async reloadOverrides() {
+    publicationOverridesService.reload();
+    return this.getOverridesReport();
+  }
+
+  /**
+   * Report which overrides apply to the whole catalog, loading it when it is not cached
+   * @returns {Promise<Object>} Report from publicationOverridesService.getReport
+   */
+  async getOverridesReport() {
+    if (!this.cache.has(this.cacheKey)) {
+      await this.fetchPublications();
+    }
+    return publicationOverridesService.getReport(this.cache.get(this.cacheKey));
+  }
+
   clearCache() {
-    this.cache.del(this.cacheKey);
+    const catalogKeys = this.cache.keys().filter(key => key.startsWith(this.cacheKey));
+    this.cache.del(catalogKeys);
     console.log('Publications cache cleared');
   }
 
   getCacheStats() {
     const keys = this.cache.keys();
     const stats = this.cache.getStats();
+    // keys() still lists expired catalogs until the next check period; mget leaves them out
+    const catalogs = this.cache.mget(keys.filter(key => key.startsWith(this.cacheKey)));
     return {
       keys,
       stats,
-      hasCachedPublications: this.cache.has(this.cacheKey)
+      hasCachedPublications: this.cache.has(this.cacheKey),
+      catalogs: Object.entries(catalogs).map(([key, publications]) => {
+        const [, countryCode = '', regionCode = ''] = key.split(':');
+        return { countryCode, regionCode, count: publications.length };
+      })
     };
   }
 }
 
-module.exports = new PublicationsService();
\ No newline at end of file
+module.exports = new PublicationsService();
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_QUOTES_DIR = path.join(__dirname, '..', 'data', 'quotes');
+
+// Quote IDs are short enough to read out to a family and never reused
+const QUOTE_ID_PATTERN = /^Q-[0-9A-F]{10}$/;
+
+class QuoteService {
+  constructor() {
+    this.quotesDir = process.env.QUOTES_DIR || DEFAULT_QUOTES_DIR;
+  }
+
+  /**
+   * Generate a new quote ID like "Q-3F9A1C07B2"
+   * @returns {string} Quote ID
+   */
+  generateQuoteId() {
+    return `Q-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Whether a string is a well-formed quote ID, so it is safe to use as a file name
+   * @param {string} id - Quote ID
+   * @returns {boolean} True when the ID is well formed
+   */
+  isValidQuoteId(id) {
+    return QUOTE_ID_PATTERN.test(id || '');
+  }
+
+  getQuotePath(id) {
+    return path.join(this.quotesDir, `${id}.json`);
+  }
+
+  /**
+   * Save a quote under a new quote ID
+   * @param {Object} quote - Publication, run dates, package and priced items
+   * @returns {Promise<Object>} The saved quote, with its id and createdAt
+   */
+  async createQuote(quote) {
+    await fs.mkdir(this.quotesDir, { recursive: true });
+
+    const savedQuote = {
+      id: this.generateQuoteId(),
+      createdAt: new Date().toISOString(),
+      ...quote
+    };
+
+    // "wx" refuses to overwrite, so an ID collision can never replace an existing quote
+    await fs.writeFile(this.getQuotePath(savedQuote.id), JSON.stringify(savedQuote, null, 2), { flag: 'wx' });
+    console.log(`QuoteService: Saved quote ${savedQuote.id}`);
+    return savedQuote;
+  }
+
+  /**
+   * Load a saved quote
+   * @param {string} id - Quote ID
+   * @returns {Promise<Object|null>} The quote, or null when there is no quote with that ID
+   */
+  async getQuote(id) {
+    if (!this.isValidQuoteId(id)) {
+      return null;
+    }
+
+    try {
+      const contents = await fs.readFile(this.getQuotePath(id), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error(`QuoteService: Error reading quote ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the version of a quote that can be shown to anyone with its link
+   * The agent, the Intercom conversation and the family's draft text stay in the saved quote only
+   * @param {Object} quote - Quote from getQuote
+   * @returns {Object} The quote without createdBy, conversationId and the items' spec text
+   */
+  toPublicQuote(quote) {
+    const { createdBy, conversationId, ...publicQuote } = quote;
+    return {
+      ...publicQuote,
+      items: (quote.items || []).map(item => {
+        if (!item.spec) {
+          return item;
+        }
+        const { text, ...spec } = item.spec;
+        return { ...item, spec };
+      })
+    };
+  }
+
+  /**
+   * Get the public link to a quote
+   * @param {string} id - Quote ID
+   * @returns {string} URL of the printable quote page
+   */
+  getQuoteUrl(id) {
+    return `${process.env.BASE_URL}/quotes/${id}`;
+  }
+}
+
+module.exports = new QuoteService();
@@ -0,0 +1,215 @@
+const { CircuitOpenError, isTransientError } = require('./errors');
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+const DEFAULT_RETRY_MAX_MS = 4000;
+
+// Consecutive transient failures that open an endpoint's breaker, and how long it stays open
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+// A half-open breaker lets another trial call through when the last one has not settled in this long
+const DEFAULT_TRIAL_TIMEOUT_MS = 60000;
+
+/**
+ * Read a non-negative number from the environment, allowing 0
+ * @param {string} value - Environment variable value
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number} The number
+ */
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ResilienceService {
+  constructor() {
+    this.retries = readNumber(process.env.UPSTREAM_RETRIES, DEFAULT_RETRIES);
+    this.retryBaseMs = readNumber(process.env.UPSTREAM_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS);
+    this.retryMaxMs = readNumber(process.env.UPSTREAM_RETRY_MAX_MS, DEFAULT_RETRY_MAX_MS);
+    this.failureThreshold = Math.max(1, readNumber(process.env.CIRCUIT_BREAKER_THRESHOLD, DEFAULT_FAILURE_THRESHOLD));
+    this.cooldownMs = readNumber(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, DEFAULT_COOLDOWN_MS);
+    this.trialTimeoutMs = readNumber(process.env.CIRCUIT_BREAKER_TRIAL_TIMEOUT_MS, DEFAULT_TRIAL_TIMEOUT_MS);
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get the circuit breaker for an endpoint, creating a closed one on first use
+   * @param {string} endpoint - Endpoint name, e.g. "pricing-api:packages"
+   * @returns {Object} Breaker: { endpoint, state, consecutiveFailures, openedAt, lastFailureAt, lastError, trialInFlight, trialStartedAt }
+   */
+  getBreaker(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, {
+        endpoint,
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        trialInFlight: false,
+        trialStartedAt: null
+      });
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  /**
+   * Get a breaker's state as of now: an open breaker whose cooldown has passed will let a trial call through
+   * @param {Object} breaker - Breaker from getBreaker
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState(breaker) {
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.cooldownMs) {
+      return 'half-open';
+    }
+    return breaker.state;
+  }
+
+  /**
+   * How long to wait before a retry: exponential backoff with jitter, so callers that failed
+   * together do not all retry at the same moment
+   * @param {number} attempt - Retry number, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Let a call through the breaker, or refuse it while the breaker is open
+   * Once the cooldown has passed a single trial call is let through; its outcome closes or re-opens the breaker.
+   * A trial that has not settled within trialTimeoutMs is given up on, so a hung call cannot keep the breaker half-open
+   * @param {Object} breaker - Breaker from getBreaker
+   * @param {string} service - Upstream service name for the error message
+   * @throws {CircuitOpenError} When the breaker is open
+   */
+  acquire(breaker, service) {
+    breaker.state = this.getState(breaker);
+    if (breaker.trialInFlight && Date.now() - breaker.trialStartedAt >= this.trialTimeoutMs) {
+      console.warn(`ResilienceService: Trial call to ${breaker.endpoint} did not settle within ${this.trialTimeoutMs}ms, allowing another`);
+      breaker.trialInFlight = false;
+    }
+    if (breaker.state === 'open' || (breaker.state === 'half-open' && breaker.trialInFlight)) {
+      throw new CircuitOpenError(`${service} is temporarily unavailable after repeated failures`, {
+        service,
+        endpoint: breaker.endpoint,
+        retryAt: new Date(breaker.openedAt + this.cooldownMs)
+      });
+    }
+    if (breaker.state === 'half-open') {
+      breaker.trialInFlight = true;
+      breaker.trialStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * Record that the endpoint answered, which closes its breaker
+   * @param {Object} breaker - Breaker from getBreaker
+   */
+  recordSuccess(breaker) {
+    if (breaker.state !== 'closed') {
+      console.log(`ResilienceService: ${breaker.endpoint} is answering again, closing its circuit breaker`);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+  }
+
+  /**
+   * Record a transient failure, opening the breaker once there have been too many in a row
+   * @param {Object} breaker - Breaker from getBreaker
+   * @param {Error} error - The failure
+   */
+  recordFailure(breaker, error) {
+    breaker.consecutiveFailures += 1;
+    breaker.lastFailureAt = Date.now();
+    breaker.lastError = error.message;
+    breaker.trialInFlight = false;
+
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= this.failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.warn(`ResilienceService: Opening circuit breaker for ${breaker.endpoint} after ${breaker.consecutiveFailures} failures (${error.message})`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Make an upstream call through the endpoint's circuit breaker, retrying transient failures
+   * Only answers that say the service is unavailable count against the breaker;
+   * a 404 or validation error means the endpoint is up
+   * @param {string} endpoint - Endpoint name, e.g. "pricing-api:packages"
+   * @param {Function} request - Async function making the call; must throw errors classified by services/errors
+   * @param {Object} options - Call options
+   * @param {string} options.service - Upstream service name, e.g. "Pricing API"
+   * @param {number} options.retries - Retries after the first attempt; use 0 for calls that are not idempotent
+   * @returns {Promise<*>} Result of the request
+   * @throws {CircuitOpenError} When the breaker is open
+   */
+  async call(endpoint, request, { service = endpoint, retries = this.retries } = {}) {
+    const breaker = this.getBreaker(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      this.acquire(breaker, service);
+      try {
+        const result = await request();
+        this.recordSuccess(breaker);
+        return result;
+      } catch (error) {
+        if (!isTransientError(error)) {
+          this.recordSuccess(breaker);
+          throw error;
+        }
+
+        this.recordFailure(breaker, error);
+        if (attempt >= retries || breaker.state === 'open') {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt + 1);
+        console.warn(`ResilienceService: ${endpoint} failed (${error.message}), retry ${attempt + 1} of ${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get the retry settings and the state of every breaker, for /health
+   * @returns {Object} { retries, retryBaseMs, retryMaxMs, failureThreshold, cooldownMs, trialTimeoutMs, breakers }
+   */
+  getStats() {
+    return {
+      retries: this.retries,
+      retryBaseMs: this.retryBaseMs,
+      retryMaxMs: this.retryMaxMs,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      trialTimeoutMs: this.trialTimeoutMs,
+      breakers: Array.from(this.breakers.values()).map(breaker => ({
+        endpoint: breaker.endpoint,
+        state: this.getState(breaker),
+        consecutiveFailures: breaker.consecutiveFailures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === 'closed' ? null : new Date(breaker.openedAt + this.cooldownMs).toISOString(),
+        lastFailureAt: breaker.lastFailureAt ? new Date(breaker.lastFailureAt).toISOString() : null,
+        lastError: breaker.lastError
+      }))
+    };
+  }
+
+  /**
+   * Whether any breaker is refusing calls or waiting on a trial call to see if its endpoint recovered
+   * @returns {boolean} True when an upstream endpoint is degraded
+   */
+  isDegraded() {
+    return Array.from(this.breakers.values()).some(breaker => this.getState(breaker) !== 'closed');
+  }
+}
+
+module.exports = new ResilienceService();
@@ -0,0 +1,320 @@
+const COUNTRIES = require('../config/regions.json');
+
+// How much a match in each field counts towards a publication's score
+const FIELD_WEIGHTS = {
+  name: 3,
+  aliases: 3,
+  city: 2,
+  region: 1.5,
+  publisher: 1.5,
+  description: 1
+};
+
+// How much each kind of token match is worth, before the field weight
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.6
+};
+
+// Words that do not have to match, so "the tampa bay times" still finds "Tampa Bay Times"
+const STOP_WORDS = new Set(['the', 'of', 'and', 'a', 'an']);
+
+// Qualifiers an agent can type into the search box, e.g. "city: Tampa" or "state: FL", and the field each one searches
+const QUALIFIERS = {
+  city: 'city',
+  town: 'city',
+  state: 'region',
+  province: 'region',
+  region: 'region',
+  publisher: 'publisher'
+};
+
+const QUALIFIER_PATTERN = new RegExp(`\\b(${Object.keys(QUALIFIERS).join('|')})\\s*:`, 'i');
+
+/**
+ * Lower-case text and strip accents, so "Québec" and "quebec" compare equal
+ * @param {*} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Split text into normalized word tokens
+ * @param {*} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => {
+  return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+};
+
+/**
+ * Get the name of a publication's state or province, e.g. "Florida" for US/FL
+ * @param {Object} publication - Publication from the catalog
+ * @returns {string} Region name, '' when the region is not in config/regions.json
+ */
+const getRegionName = (publication) => {
+  const country = COUNTRIES.find(entry => entry.countryCode === publication.country_code);
+  return (country && country.regions[publication.region_code]) || '';
+};
+
+/**
+ * How many typos a query token may contain and still match
+ * @param {string} token - Query token
+ * @returns {number} Allowed edits: none for short tokens, where a typo is usually another word
+ */
+const getAllowedEdits = (token) => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit
+ * Gives up early once the distance is known to exceed maxDistance
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} The distance, or maxDistance + 1 when it is larger
+ */
+const getEditDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+class SearchService {
+  constructor() {
+    // Search indexes are built once per catalog array and dropped with it
+    this.indexes = new WeakMap();
+  }
+
+  /**
+   * Build the searchable form of a publication
+   * @param {Object} publication - Publication from the catalog
+   * @returns {Object} { publication, name (normalized), aliases, regions, fields: { name, aliases, city, region, publisher, description }, acronyms }
+   */
+  indexPublication(publication) {
+    const nameTokens = tokenize(publication.name);
+    const significantTokens = nameTokens.filter(token => !STOP_WORDS.has(token));
+    const aliases = (publication.aliases || []).map(alias => tokenize(alias).join(' '));
+    const regionName = getRegionName(publication);
+
+    return {
+      publication,
+      name: nameTokens.join(' '),
+      // Search aliases come from the publication overrides file
+      aliases: new Set(aliases),
+      // "state: FL" and "state: Florida" both find Florida papers
+      regions: new Set([tokenize(publication.region_code).join(' '), tokenize(regionName).join(' ')].filter(Boolean)),
+      fields: {
+        name: nameTokens,
+        aliases: tokenize(aliases.join(' ')),
+        city: tokenize(publication.city_name),
+        region: tokenize(regionName),
+        publisher: tokenize(publication.publisher_name),
+        description: tokenize(publication.description)
+      },
+      // "Tampa Bay Times" can be found as "TBT", "The New York Times" as "NYT" or "TNYT"
+      acronyms: new Set([
+        nameTokens.map(token => token[0]).join(''),
+        significantTokens.map(token => token[0]).join('')
+      ].filter(acronym => acronym.length >= 2))
+    };
+  }
+
+  /**
+   * Get the search index of a catalog, building it on first use
+   * @param {Array} publications - Catalog from publicationsService
+   * @returns {Array<Object>} Indexed publications
+   */
+  getIndex(publications) {
+    if (!this.indexes.has(publications)) {
+      this.indexes.set(publications, publications.map(publication => this.indexPublication(publication)));
+    }
+    return this.indexes.get(publications);
+  }
+
+  /**
+   * Score how well a query token matches a list of field tokens
+   * @param {string} queryToken - Query token
+   * @param {Array<string>} fieldTokens - Tokens of one publication field
+   * @returns {number} Best match score (see MATCH_SCORES), 0 when nothing matches
+   */
+  scoreToken(queryToken, fieldTokens) {
+    const allowedEdits = getAllowedEdits(queryToken);
+    let best = 0;
+
+    for (const fieldToken of fieldTokens) {
+      if (fieldToken === queryToken) {
+        return MATCH_SCORES.exact;
+      }
+      if (queryToken.length >= 2 && fieldToken.startsWith(queryToken)) {
+        best = Math.max(best, MATCH_SCORES.prefix);
+      } else if (allowedEdits > 0 && best < MATCH_SCORES.fuzzy) {
+        const distance = getEditDistance(queryToken, fieldToken, allowedEdits);
+        if (distance <= allowedEdits) {
+          best = Math.max(best, MATCH_SCORES.fuzzy - 0.15 * (distance - 1));
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Score a publication against a query
+   * Every query token other than a stop word has to match some field
+   * @param {Object} entry - Indexed publication
+   * @param {string} query - Normalized query
+   * @param {Array<string>} queryTokens - Query tokens
+   * @returns {number} Relevance score, 0 when the publication does not match
+   */
+  scorePublication(entry, query, queryTokens) {
+    let score = 0;
+    let nameMatches = 0;
+    const requiredTokens = queryTokens.filter(queryToken => !STOP_WORDS.has(queryToken));
+
+    for (const queryToken of queryTokens) {
+      let tokenScore = 0;
+      Object.entries(entry.fields).forEach(([field, fieldTokens]) => {
+        tokenScore = Math.max(tokenScore, this.scoreToken(queryToken, fieldTokens) * FIELD_WEIGHTS[field]);
+      });
+      if (entry.acronyms.has(queryToken)) {
+        tokenScore = Math.max(tokenScore, MATCH_SCORES.exact * FIELD_WEIGHTS.name);
+      }
+
+      if (tokenScore === 0 && !STOP_WORDS.has(queryToken)) {
+        return 0;
+      }
+      if (tokenScore >= MATCH_SCORES.fuzzy * FIELD_WEIGHTS.name) {
+        nameMatches += 1;
+      }
+      score += tokenScore;
+    }
+    if (score === 0) {
+      return 0;
+    }
+
+    // The paper the agent typed out in full (or by an alias) goes first, then papers whose name starts with the query
+    if (entry.name === query || entry.aliases.has(query)) {
+      score += 10;
+    } else if (entry.name.startsWith(query)) {
+      score += 3;
+    }
+    if (nameMatches >= requiredTokens.length) {
+      score += 2;
+    }
+    return score;
+  }
+
+  /**
+   * Split a query into free text and qualifiers
+   * A qualifier's value runs up to the next comma or qualifier, so "times, city: tampa, state: fl" and
+   * "city: tampa, times" both search for "times" in Tampa
+   * @param {string} query - Search text entered by the agent
+   * @returns {Object} { text, city, region, publisher }, each normalized, '' when not given
+   */
+  parseQuery(query) {
+    const parts = { text: [], city: [], region: [], publisher: [] };
+    const segments = String(query || '').split(QUALIFIER_PATTERN);
+
+    parts.text.push(segments[0]);
+    for (let i = 1; i < segments.length; i += 2) {
+      const [value, ...rest] = segments[i + 1].split(',');
+      parts[QUALIFIERS[segments[i].toLowerCase()]].push(value);
+      parts.text.push(rest.join(' '));
+    }
+
+    return Object.fromEntries(Object.entries(parts).map(([part, values]) => [part, tokenize(values.join(' ')).join(' ')]));
+  }
+
+  /**
+   * Score a publication against the qualifiers of a query; every qualifier has to match
+   * @param {Object} entry - Indexed publication
+   * @param {Object} qualifiers - Qualifiers from parseQuery: { city, region, publisher }
+   * @returns {number} Relevance score, 0 when the publication does not match
+   */
+  scoreQualifiers(entry, qualifiers) {
+    let score = 0;
+
+    for (const [field, value] of Object.entries(qualifiers)) {
+      if (!value) {
+        continue;
+      }
+      if (field === 'region') {
+        if (!entry.regions.has(value)) {
+          return 0;
+        }
+        score += MATCH_SCORES.exact * FIELD_WEIGHTS.region;
+        continue;
+      }
+      for (const queryToken of value.split(' ')) {
+        const tokenScore = this.scoreToken(queryToken, entry.fields[field]);
+        if (tokenScore === 0) {
+          return 0;
+        }
+        score += tokenScore * FIELD_WEIGHTS[field];
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Search a catalog by name, alias, abbreviation, city, state, publisher and description,
+   * tolerating typos, with the most relevant publications first
+   * The query may narrow the search with qualifiers, e.g. "times, city: tampa" (see parseQuery)
+   * @param {Array} publications - Catalog from publicationsService
+   * @param {string} query - Search text entered by the agent
+   * @returns {Array} Matching publications, best match first
+   */
+  search(publications, query) {
+    const { text, ...qualifiers } = this.parseQuery(query);
+    const queryTokens = text.split(' ').filter(Boolean);
+    const hasQualifiers = Object.values(qualifiers).some(Boolean);
+    if (queryTokens.length === 0 && !hasQualifiers) {
+      return [];
+    }
+
+    return this.getIndex(publications)
+      .map(entry => {
+        const qualifierScore = hasQualifiers ? this.scoreQualifiers(entry, qualifiers) : 0;
+        if (hasQualifiers && qualifierScore === 0) {
+          return { entry, score: 0 };
+        }
+        const textScore = queryTokens.length > 0 ? this.scorePublication(entry, text, queryTokens) : 0;
+        if (queryTokens.length > 0 && textScore === 0) {
+          return { entry, score: 0 };
+        }
+        return { entry, score: textScore + qualifierScore };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+      .map(result => result.entry.publication);
+  }
+}
+
+module.exports = new SearchService();
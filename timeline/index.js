@@ -1,10 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { DateTime } = require('luxon');
 const publicationsService = require('../services/publicationsService');
+const searchService = require('../services/searchService');
 const apiService = require('../services/apiService');
 const utils = require('../services/utilis');
 const calendarService = require('../services/calendarService');
+const {
+  AuthError,
+  NotFoundError,
+  UpstreamServerError,
+  TimeoutError,
+  NetworkError,
+  CircuitOpenError
+} = require('../services/errors');
+
+/**
+ * Describe why a publisher's calendar could not be shown and what the agent can do about it
+ * @param {Error} error - Error raised while loading the calendar, usually one of services/errors
+ * @param {string} publisherName - Publisher whose calendar was requested
+ * @returns {Object} { title, message }
+ */
+const describeCalendarError = (error, publisherName) => {
+  if (error instanceof NotFoundError) {
+    return {
+      title: "Calendar File Not Found",
+      message: `There is no publishing calendar for ${publisherName}. Check the newspaper's publishing days in ObitPortal, and let the publishing team know the calendar is missing.`
+    };
+  }
+  if (error instanceof TimeoutError || error instanceof NetworkError ||
+    error instanceof UpstreamServerError || error instanceof CircuitOpenError) {
+    return {
+      title: "Calendar Unavailable",
+      message: `The calendar for ${publisherName} could not be downloaded right now (${error.message}). Try again in a few minutes.`
+    };
+  }
+  if (error instanceof AuthError) {
+    return {
+      title: "Calendar Access Denied",
+      message: `This app is not allowed to download the calendar for ${publisherName}, so retrying will not help. Ask an admin to check the calendar storage permissions.`
+    };
+  }
+  return {
+    title: "Failed to Parse Calendar Data",
+    message: `Error parsing calendar data: ${error.message}`
+  };
+};
 
 const initialCanvas = {
   canvas: {
@@ -19,7 +59,24 @@ const initialCanvas = {
           "type": "input",
           "id": "newspaper",
           "label": "Newspaper Name",
-          "placeholder": "Enter the newspaper name..."
+          "placeholder": "e.g. Tampa Bay Times, or publisher: Gannett, state: FL"
+        },
+        {
+          "type": "input",
+          "id": "city",
+          "label": "City (optional)",
+          "placeholder": "The family's hometown, if they do not know the paper"
+        },
+        {
+          "type": "dropdown",
+          "id": "region",
+          "label": "Country / Region",
+          "value": "all",
+          "options": publicationsService.getRegionOptions().map(option => ({
+            "type": "option",
+            "id": option.id,
+            "text": option.label
+          }))
         },
         {
           "type": "spacer",
@@ -50,7 +107,10 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
   const body = req.body;
 
   if (body.component_id === 'submit-search-newspaper') {
-    const searchTerm = body.input_values.newspaper;
+    // The optional city input is the same as typing "city: ..." into the search box
+    const searchTerm = [body.input_values.newspaper, body.input_values.city && `city: ${body.input_values.city}`]
+      .filter(value => value && value.trim() !== '')
+      .join(', ');
     console.log('Searching for newspaper:', searchTerm);
 
     // Validate that searchTerm is not empty
@@ -68,7 +128,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
               },
               {
                 "type": "text",
-                "text": "Please enter a newspaper name",
+                "text": "Please enter a newspaper name or city",
                 "align": "center",
                 "style": "header"
               },
@@ -89,20 +149,13 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
     }
 
     try {
-      // Get publications from cache or fetch if not available
-      let publications = publicationsService.getPublications();
+      // Get the catalog for the chosen country/region from cache or fetch if not available
+      const regionFilter = publicationsService.parseRegionOption(body.input_values.region);
+      const regionName = publicationsService.describeFilter(regionFilter);
+      const publications = await publicationsService.getPublicationsWithFallback(regionFilter);
 
-      if (!publications) {
-        console.log('Cache not found, fetching publications...');
-        publications = await publicationsService.fetchPublications();
-      }
-
-      // Search against name and description fields
-      const filteredPublications = publications.filter(pub => {
-        const nameMatch = pub.name && pub.name.toLowerCase().includes(searchTerm.toLowerCase());
-        const descriptionMatch = pub.description && pub.description.toLowerCase().includes(searchTerm.toLowerCase());
-        return nameMatch || descriptionMatch;
-      });
+      // Ranked search on name, abbreviation, city, state, publisher and description, best match first
+      const filteredPublications = searchService.search(publications, searchTerm);
 
       console.log(`Found ${filteredPublications.length} matching publications`);
 
@@ -111,8 +164,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
         "type": "item",
         "id": `uuid__${pub.uuid}|${pub.publisher_name.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}`,
         "title": pub.name,
-        "subtitle": `${pub.city_name}, ${pub.region_code}`,
-        "tertiary_text": pub.publisher_name,
+        "subtitle": publicationsService.describePublication(pub),
         "action": {
           "type": "submit"
         }
@@ -136,14 +188,14 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
               {
                 "type": "list",
                 "id": "newspaper-selection",
-                "label": `Select Newspaper (${filteredPublications.length} found)`,
+                "label": `Select Newspaper (${filteredPublications.length} found${regionName ? ` in ${regionName}` : ''})`,
                 "items": listItems.length > 0 ? listItems : [
                   {
                     "type": "item",
                     "id": "no-results",
                     "title": "No newspapers found",
-                    "subtitle": `No results for "${searchTerm}"`,
-                    "tertiary_text": "Try a different search term"
+                    "subtitle": `No results for "${searchTerm}"${regionName ? ` in ${regionName}` : ''}`,
+                    "tertiary_text": regionName ? "Try a different search term or region" : "Try a different search term"
                   }
                 ]
               },
@@ -214,7 +266,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
     const publisherName = id.split('|')[1];
     try {
       // Construct S3 URL for the ICS file
-      const icsUrl = `https://s3.amazonaws.com/obituary.datastore/prod/static/calendar/${publisherName}.ics`;
+      const icsUrl = calendarService.getIcsUrl(publisherName);
       console.log(`Downloading and parsing ICS file for UUID: ${publisherName}`);
       console.log(`ICS URL: ${icsUrl}`);
 
@@ -223,17 +275,8 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
       const calendarEvents = await calendarService.retrieveAndParseIcs(icsUrl);
       console.log(`Successfully parsed ${calendarEvents.length} events from ICS file`);
 
-      // Filter events by selectedUuid (publication UUID) - match against the first part of UID before "--"
-      const filteredEvents = calendarEvents.filter(event => {
-        if (!event.originalUid) return false;
-        
-        // Split the UID by "--" and get the first part
-        const uidParts = event.originalUid.split('--');
-        const eventPublicationId = uidParts[0]; // e.g., "5409_Adpay" from "5409_Adpay--69bec25c-98bb-406e-b4eb-5b17e756cfb0"
-        
-        // Check if the selectedUuid is contained in the event's publication ID
-        return eventPublicationId.includes(selectedUuid);
-      });
+      // Filter events by selectedUuid (publication UUID)
+      const filteredEvents = calendarService.filterEventsByPublication(calendarEvents, selectedUuid);
 
       console.log(`Filtered ${filteredEvents.length} events matching UUID: ${selectedUuid}`);
 
@@ -280,92 +323,6 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
 
       // Process events to show next available run dates
       if (limitedEvents.length > 0) {
-        // Helper function to convert timezone considering both EDT and EST
-        const getTimezoneAbbreviation = (timezone, date) => {
-          const dt = DateTime.fromJSDate(date).setZone(timezone);
-          return dt.offsetNameShort; // This will automatically return EDT or EST based on the date
-        };
-
-        // Helper function to generate next 5 occurrences starting from event start date
-        const generateNext5FromEvents = (events) => {
-          const dates = [];
-          
-          // Get the start date from the first event (2025-10-06)
-          const eventStartDate = DateTime.fromISO(events[0].start.dateTime).setZone(events[0].start.timeZone);
-          
-          // Collect all recurring days from the events and their deadline offsets
-          const recurringDays = new Set();
-          const dayToDeadlineOffset = new Map(); // Map day abbreviations to their deadline offsets
-          const timezone = events[0].start.timeZone;
-          
-          events.forEach(event => {
-            if (event.recurrence && event.recurrence[0]) {
-              const rrule = event.recurrence[0];
-              const bydayMatch = rrule.match(/BYDAY=([^;]+)/);
-              if (bydayMatch) {
-                const dayAbbr = bydayMatch[1];
-                recurringDays.add(dayAbbr);
-                // Store the deadline offset for this day (default to 2 if not specified)
-                const deadlineOffset = event.deadlineOffset !== undefined ? event.deadlineOffset : 2;
-                dayToDeadlineOffset.set(dayAbbr, deadlineOffset);
-              }
-            }
-          });
-          
-          console.log('Event start date:', eventStartDate.toISO());
-          console.log('Recurring days found:', Array.from(recurringDays));
-          console.log('Deadline offsets:', Array.from(dayToDeadlineOffset.entries()));
-          
-          // Map RRULE day abbreviations to day indices (Luxon uses 1=Monday, 7=Sunday)
-          const dayMap = { 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6, 'SU': 7 };
-          
-          // Get current datetime in the event timezone
-          const now = DateTime.now().setZone(timezone);
-          
-          // Start from today or event start date, whichever is later
-          let currentDate = DateTime.max(now.startOf('day'), eventStartDate.startOf('day'));
-          let count = 0;
-          
-          while (count < 5) {
-            const weekday = currentDate.weekday; // Luxon weekday (1=Monday, 7=Sunday)
-            const dayAbbr = Object.keys(dayMap).find(key => dayMap[key] === weekday);
-            
-            if (recurringDays.has(dayAbbr)) {
-              // Create the run date at 12:00 PM in the event timezone
-              const runDate = currentDate.set({ hour: 12, minute: 0, second: 0, millisecond: 0 });
-              
-              // Get the deadline offset for this specific day (check for undefined, not falsy, since 0 is valid)
-              const offsetValue = dayToDeadlineOffset.get(dayAbbr);
-              const deadlineOffset = offsetValue !== undefined ? offsetValue : 2;
-              
-              // Calculate submission deadline using the offset from X-PUB-DEADLINE-OFFSET
-              // If offset is 0, submission deadline is the same day as run date
-              const submissionDate = runDate.minus({ days: deadlineOffset });
-              
-              // Only add if submission deadline is in the future (including time comparison)
-              if (submissionDate > now) {
-                const timezoneAbbr = getTimezoneAbbreviation(timezone, runDate.toJSDate());
-                
-                dates.push({
-                  runDate: runDate,
-                  submissionDate: submissionDate,
-                  timezone: timezone,
-                  timezoneAbbr: timezoneAbbr,
-                  deadlineOffset: deadlineOffset
-                });
-                
-                console.log(`✓ Added: Run ${runDate.toFormat('ccc M/d/yy h:mm a')}, Submit by ${submissionDate.toFormat('ccc M/d/yy h:mm a')} (offset: ${deadlineOffset} days)`);
-                count++;
-              } else {
-                console.log(`✗ Skipped: Run ${runDate.toFormat('ccc M/d/yy h:mm a')}, Submit by ${submissionDate.toFormat('ccc M/d/yy h:mm a')} (deadline passed, offset: ${deadlineOffset} days)`);
-              }
-            }
-            currentDate = currentDate.plus({ days: 1 });
-          }
-          
-          return dates;
-        };
-
         // Helper function to format date using Luxon
         const formatDate = (luxonDate) => {
           return luxonDate.toFormat('ccc M/d/yy'); // e.g., "Mon 10/6/25"
@@ -381,7 +338,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
         
         // Generate next 5 occurrences using actual calendar event data
         if (limitedEvents.length > 0) {
-          const nextDates = generateNext5FromEvents(limitedEvents);
+          const nextDates = calendarService.getUpcomingRunDates(limitedEvents, { limit: 5 });
           
           nextDates.forEach(dateInfo => {
             const dateKey = dateInfo.runDate.toISO(); // Use Luxon's toISO() instead of toDateString()
@@ -445,18 +402,7 @@ router.post('/submit', utils.createIntercomMiddleware(), async (req, res) => {
     } catch (error) {
       console.error('Error downloading or parsing ICS file:', error.message);
 
-      // Check if it's a network/download error or parsing error
-      const isNetworkError = error.message.includes('ENOTFOUND') ||
-        error.message.includes('404') ||
-        error.message.includes('Network Error');
-
-      const errorTitle = isNetworkError ?
-        "Calendar File Not Found" :
-        "Failed to Parse Calendar Data";
-
-      const errorMessage = isNetworkError ?
-        `Could not download calendar file for ${publisherName}. The file may not exist or the server is unavailable.` :
-        `Error parsing calendar data: ${error.message}`;
+      const { title: errorTitle, message: errorMessage } = describeCalendarError(error, publisherName);
 
       // Return error canvas
       const calendarErrorCanvas = {